@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+// Administrative commands. Point DATABASE_PATH (or DATABASE_URL) at the same database the
+// server uses.
+//
+//   node bin/admin.js db:migrate
+//   node bin/admin.js db:status
+//   node bin/admin.js platform:add --issuer <url> --client-id <id> --auth-login-url <url>
+//                                  --auth-token-url <url> --jwks-url <url> [--deployment-ids a,b] [--name <name>]
+//   node bin/admin.js platform:list
+//   node bin/admin.js platform:remove <id>
+//   node bin/admin.js consumer:add <key> [--name <name>] [--secret <secret>]
+//   node bin/admin.js consumer:list
+//   node bin/admin.js consumer:enable <key> | consumer:disable <key>
+//   node bin/admin.js consumer:rotate <key> [--secret <secret>]
+//   node bin/admin.js consumer:remove <key>
+//   node bin/admin.js keys:rotate
+//   node bin/admin.js storage:make-private
+//   node bin/admin.js passback:list [--status pending|sending|sent|failed|superseded] [--course <id>]
+//   node bin/admin.js passback:retry <job id> | --failed
+//   node bin/admin.js retention:list
+//   node bin/admin.js retention:set <course id> <days|forever>
+//   node bin/admin.js retention:clear <course id>
+//   node bin/admin.js retention:purge [--dry-run]
+//   node bin/admin.js user:export <user id> --out <file.zip> [--dry-run]
+//   node bin/admin.js user:erase <user id> [--dry-run]
+//   node bin/admin.js audit:list [--course <id>] [--user <id>] [--action <action>] [--from <date>] [--to <date>] [--csv]
+
+const fs = require('fs');
+const { finished } = require('stream/promises');
+const db = require('../lib/db');
+const lti13 = require('../lib/lti13');
+const { storage, adoptLegacyRecordings, listKeys } = require('../lib/storage');
+const gradePassback = require('../lib/gradePassback');
+const retention = require('../lib/retention');
+const exportArchive = require('../lib/exportArchive');
+const audit = require('../lib/audit');
+const consumers = require('../lib/consumers');
+
+const commands = {
+  // Opening the database applies pending migrations; the server does the same when it starts
+  async 'db:migrate'() {
+    const migrations = await db.migrationStatus();
+    const latest = migrations[migrations.length - 1];
+    console.log(`Database schema is at version ${latest.version} (${latest.name})`);
+  },
+
+  async 'db:status'() {
+    console.log(`Database: ${db.dialect}`);
+    (await db.migrationStatus()).forEach(migration => {
+      console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name}  ` +
+        (migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending'));
+    });
+  },
+
+  async 'platform:add'(args, options) {
+    const required = ['issuer', 'client-id', 'auth-login-url', 'auth-token-url', 'jwks-url'];
+    const missing = required.filter(name => !options[name]);
+    if (missing.length) {
+      throw new Error(`Missing options: ${missing.map(name => '--' + name).join(', ')}`);
+    }
+
+    const id = await lti13.registerPlatform({
+      name: options.name,
+      issuer: options.issuer,
+      clientId: options['client-id'],
+      deploymentIds: options['deployment-ids'] ? options['deployment-ids'].split(',') : [],
+      authLoginUrl: options['auth-login-url'],
+      authTokenUrl: options['auth-token-url'],
+      jwksUrl: options['jwks-url']
+    });
+    console.log(`Registered platform ${id}`);
+  },
+
+  async 'platform:list'() {
+    const platforms = await lti13.listPlatforms();
+    if (!platforms.length) {
+      return console.log('No LTI 1.3 platforms registered');
+    }
+    platforms.forEach(p => {
+      console.log(`${p.id}  ${p.name}  issuer=${p.issuer}  client_id=${p.client_id}  deployments=${p.deployment_ids || '(any)'}`);
+    });
+  },
+
+  async 'platform:remove'(args) {
+    if (!args[0]) {
+      throw new Error('Usage: platform:remove <id>');
+    }
+    const { changes } = await lti13.removePlatform(args[0]);
+    console.log(changes ? `Removed platform ${args[0]}` : `No platform with id ${args[0]}`);
+  },
+
+  async 'consumer:add'(args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: consumer:add <key> [--name <name>] [--secret <secret>]');
+    }
+    const consumer = await consumers.add({
+      key: args[0],
+      name: typeof options.name === 'string' ? options.name : undefined,
+      secret: typeof options.secret === 'string' ? options.secret : undefined
+    });
+    await auditConsumer(consumer.key, 'added');
+    console.log(`Registered consumer ${consumer.key} (${consumer.name})`);
+    console.log(`Secret: ${consumer.secret}`);
+  },
+
+  async 'consumer:list'() {
+    const registered = await consumers.list();
+    if (!registered.length) {
+      return console.log('No LTI consumers registered');
+    }
+    registered.forEach(c => {
+      console.log(`${c.key}  ${c.name}  ${c.enabled ? 'enabled' : 'disabled'}  updated ${c.updated_at}`);
+    });
+  },
+
+  async 'consumer:enable'(args) {
+    await setConsumerEnabled(args[0], true);
+  },
+
+  async 'consumer:disable'(args) {
+    await setConsumerEnabled(args[0], false);
+  },
+
+  // Canvas must be given the new secret; the old one stops working at once
+  async 'consumer:rotate'(args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: consumer:rotate <key> [--secret <secret>]');
+    }
+    const consumer = await consumers.rotateSecret(args[0], typeof options.secret === 'string' ? options.secret : undefined);
+    if (!consumer) {
+      throw new Error(`No consumer ${args[0]}`);
+    }
+    await auditConsumer(consumer.key, 'secret rotated');
+    console.log(`Secret: ${consumer.secret}`);
+  },
+
+  async 'consumer:remove'(args) {
+    if (!args[0]) {
+      throw new Error('Usage: consumer:remove <key>');
+    }
+    const { changes } = await consumers.remove(args[0]);
+    if (!changes) {
+      throw new Error(`No consumer ${args[0]}`);
+    }
+    await auditConsumer(args[0], 'removed');
+    console.log(`Removed consumer ${args[0]}`);
+  },
+
+  async 'keys:rotate'() {
+    await lti13.rotateKeys();
+  },
+
+  // Older versions uploaded to S3 with a public-read ACL; take that away from every stored recording
+  async 'storage:make-private'() {
+    if (!storage.makePrivate) {
+      throw new Error(`The ${storage.name} storage backend has no object ACLs`);
+    }
+    await adoptLegacyRecordings();
+    const keys = await listKeys();
+    for (const key of keys) {
+      await storage.makePrivate(key);
+    }
+    console.log(`Made ${keys.length} objects private`);
+  },
+
+  async 'passback:list'(args, options) {
+    const jobs = await gradePassback.list({ status: options.status, courseId: options.course });
+    if (!jobs.length) {
+      return console.log('No grade passback jobs');
+    }
+    jobs.forEach(job => {
+      const next = job.status === 'pending' && job.next_attempt_at ? `  next=${new Date(job.next_attempt_at).toISOString()}` : '';
+      console.log(`${job.id}  ${job.status}  submission=${job.submission_id}  course=${job.course_id}  ` +
+        `score=${job.score}/${job.max_score}  attempts=${job.attempts}${next}${job.last_error ? `  error=${job.last_error}` : ''}`);
+    });
+  },
+
+  // The server picks retried jobs up within a few seconds
+  async 'passback:retry'(args, options) {
+    if (options.failed) {
+      return console.log(`Queued ${await gradePassback.retryFailed()} failed jobs to send again`);
+    }
+    if (!args[0]) {
+      throw new Error('Usage: passback:retry <job id> | --failed');
+    }
+    console.log(await gradePassback.retry(args[0]) ? `Queued ${args[0]} to send again` : `No failed job with id ${args[0]}`);
+  },
+
+  async 'retention:list'() {
+    const { defaultDays, courses } = await retention.listPolicies();
+    console.log(`Default: ${defaultDays ? `${defaultDays} days` : 'forever'} (RETENTION_DAYS)`);
+    courses.forEach(policy => {
+      console.log(`${policy.course_id}  ${policy.retain_days ? `${policy.retain_days} days` : 'forever'}  ` +
+        `set by ${policy.updated_by || 'unknown'} at ${policy.updated_at}`);
+    });
+  },
+
+  async 'retention:set'(args) {
+    if (args.length < 2) {
+      throw new Error('Usage: retention:set <course id> <days|forever>');
+    }
+    const policy = await retention.setPolicy(args[0], args[1], 'admin-cli');
+    console.log(`Course ${args[0]} keeps recordings ${policy.retain_days ? `for ${policy.retain_days} days` : 'forever'}`);
+  },
+
+  async 'retention:clear'(args) {
+    if (!args[0]) {
+      throw new Error('Usage: retention:clear <course id>');
+    }
+    const { changes } = await retention.clearPolicy(args[0]);
+    console.log(changes ? `Course ${args[0]} follows the default again` : `No policy for course ${args[0]}`);
+  },
+
+  // The server also purges hourly
+  async 'retention:purge'(args, options) {
+    const report = await retention.purgeExpired({ dryRun: Boolean(options['dry-run']) });
+    report.submissions.forEach(s => {
+      console.log(`${s.id}  course=${s.course_id}  assignment=${s.assignment_id}  user=${s.user_id}  created=${s.created_at}`);
+    });
+    console.log(`${report.dryRun ? 'Would delete' : 'Deleted'} ${report.submissions.length} submissions ` +
+      `and ${report.objects.length} stored objects`);
+    if (audit.RETENTION_DAYS) {
+      console.log(`${report.dryRun ? 'Would clear' : 'Cleared'} personal details from ${report.auditEventsCleared} ` +
+        `audit events older than ${audit.RETENTION_DAYS} days`);
+    }
+  },
+
+  async 'user:export'(args, options) {
+    if (!args[0] || (!options.out && !options['dry-run'])) {
+      throw new Error('Usage: user:export <user id> --out <file.zip> [--dry-run]');
+    }
+    const data = await retention.userData(args[0]);
+    const objects = retention.userObjects(data);
+    if (options['dry-run']) {
+      for (const [name, value] of Object.entries(data)) {
+        if (Array.isArray(value)) console.log(`${name}: ${value.length}`);
+      }
+      objects.forEach(key => console.log(`file: ${key}`));
+      return;
+    }
+    const output = fs.createWriteStream(options.out);
+    await exportArchive.writeUser(output, data, objects);
+    await finished(output);
+    await audit.append({ action: 'admin.user_export', actorId: 'admin-cli', subjectUserId: args[0] });
+    console.log(`Wrote ${objects.length} files and data.json to ${options.out}`);
+  },
+
+  async 'user:erase'(args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: user:erase <user id> [--dry-run]');
+    }
+    const report = await retention.eraseUser(args[0], { dryRun: Boolean(options['dry-run']) });
+    if (!report.dryRun) {
+      await audit.append({
+        action: 'admin.user_erase',
+        actorId: 'admin-cli',
+        subjectUserId: report.pseudonym,
+        details: { submissions: report.submissions, clips: report.clips, objects: report.objects.length }
+      });
+    }
+    console.log(`${report.dryRun ? 'Would delete' : 'Deleted'} ${report.submissions} submissions, ${report.clips} clips, ` +
+      `${report.uploadSessions} upload sessions and ${report.feedbackRecorded} feedback recordings ` +
+      `(${report.objects.length} stored objects)`);
+    console.log(`${report.dryRun ? 'Would remove' : 'Removed'} the user's name from ${report.commentsAnonymized} comments and ${report.gradesAnonymized} grades`);
+    console.log(`${report.dryRun ? 'Would pseudonymize' : 'Pseudonymized'} ${report.auditEventsPseudonymized} audit events` +
+      (report.pseudonym ? ` as ${report.pseudonym}` : ''));
+    if (report.dryRun) {
+      report.objects.forEach(key => console.log(`file: ${key}`));
+    }
+  },
+
+  // Oldest first; --user matches who acted and whose work it was. --csv writes every match as CSV.
+  async 'audit:list'(args, options) {
+    const filters = audit.parseFilters(options);
+    if (options.csv) {
+      await audit.writeCsv(process.stdout, filters);
+      return;
+    }
+    let cursor = null;
+    do {
+      const page = await audit.list(filters, { cursor, limit: 1000 });
+      page.events.forEach(event => {
+        console.log(`${event.occurred_at}  ${event.action}  actor=${event.actor_id || '-'}  course=${event.course_id || '-'}  ` +
+          `submission=${event.submission_id || '-'}  user=${event.subject_user_id || '-'}  ip=${event.ip || '-'}` +
+          (event.details ? `  ${JSON.stringify(event.details)}` : ''));
+      });
+      cursor = page.next;
+    } while (cursor);
+  }
+};
+
+async function setConsumerEnabled(key, enabled) {
+  if (!key) {
+    throw new Error(`Usage: consumer:${enabled ? 'enable' : 'disable'} <key>`);
+  }
+  const consumer = await consumers.update(key, { enabled });
+  if (!consumer) {
+    throw new Error(`No consumer ${key}`);
+  }
+  await auditConsumer(key, enabled ? 'enabled' : 'disabled');
+  console.log(`Consumer ${key} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+function auditConsumer(key, change) {
+  return audit.append({ action: 'admin.consumer', actorId: 'admin-cli', details: { key, change } });
+}
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const next = argv[i + 1];
+      options[name] = next === undefined || next.startsWith('--') ? true : argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+const [commandName, ...rest] = process.argv.slice(2);
+const command = commands[commandName];
+
+if (!command) {
+  console.error(`Usage: node bin/admin.js <${Object.keys(commands).join('|')}> [options]`);
+  process.exit(1);
+}
+
+const { args, options } = parseArgs(rest);
+command(args, options)
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
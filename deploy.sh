@@ -9,6 +9,11 @@ git pull origin main
 echo "📦 Installing dependencies..."
 npm install --production
 
+# ffmpeg probes and transcodes uploads
+if ! command -v ffmpeg >/dev/null || ! command -v ffprobe >/dev/null; then
+  echo "⚠️  ffmpeg not found - uploads will be stored without normalization (sudo apt-get install ffmpeg)"
+fi
+
 # Create necessary directories
 echo "📁 Setting up directories..."
 mkdir -p uploads
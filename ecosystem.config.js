@@ -9,11 +9,13 @@ module.exports = {
     env: {
       NODE_ENV: 'production',
       PORT: 3000,
-      SESSION_SECRET: 'change-this-in-production',
+      // SESSION_SECRET and the other secrets come from the server's environment
+      DATABASE_PATH: '/home/bitnami/app-data/submissions.db',
     },
     env_production: {
       NODE_ENV: 'production',
-      PORT: 3000
+      PORT: 3000,
+      DATABASE_PATH: '/home/bitnami/app-data/submissions.db'
     }
   }]
 };
@@ -0,0 +1,221 @@
+const { get, run } = require('./db');
+const recordingMetadata = require('./recordingMetadata');
+
+// Recordings are timed in the browser and measured again after transcoding; allow for the difference
+const DURATION_TOLERANCE_SECONDS = 2;
+// Submitting takes minutes at most (see lib/audio.js); a lock older than this was left by a
+// process that died
+const SUBMIT_LOCK_MS = 30 * 60 * 1000;
+
+// Raised when an upload breaks the assignment's rules; carries an HTTP status
+class AssignmentRuleError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function positiveInteger(value) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+function flag(value) {
+  if (value === true || value === 'true' || value === '1' || value === 1) return true;
+  if (value === false || value === 'false' || value === '0' || value === 0) return false;
+  return null;
+}
+
+function policy(value) {
+  return recordingMetadata.BACKGROUND_POLICIES.includes(value) ? value : null;
+}
+
+// Rules set on the launch as custom parameters (max_duration=300, one_take=true, ...).
+// Unset rules are null so they can fall through to the defaults.
+function fromCustomParams(params, prefix = '') {
+  return {
+    maxDuration: positiveInteger(params[prefix + 'max_duration']),
+    minDuration: positiveInteger(params[prefix + 'min_duration']),
+    maxAttempts: positiveInteger(params[prefix + 'max_attempts']),
+    prepSeconds: positiveInteger(params[prefix + 'prep_seconds']),
+    oneTake: flag(params[prefix + 'one_take']),
+    backgroundPolicy: policy(params[prefix + 'background_policy']),
+    allowFileUpload: flag(params[prefix + 'allow_file_upload'])
+  };
+}
+
+function fromRow(row) {
+  return {
+    maxDuration: row.max_duration,
+    minDuration: row.min_duration,
+    maxAttempts: row.max_attempts,
+    prepSeconds: row.prep_seconds,
+    oneTake: row.one_take === null ? null : row.one_take === 1,
+    backgroundPolicy: row.background_policy,
+    allowFileUpload: row.allow_file_upload === null ? null : row.allow_file_upload === 1
+  };
+}
+
+// What an instructor saved on the settings screen, or null if nothing was saved
+async function savedSettings(courseId, assignmentId) {
+  const row = await get(
+    `SELECT * FROM assignment_settings WHERE course_id = ? AND assignment_id = ?`,
+    [courseId, assignmentId]
+  );
+  return row ? fromRow(row) : null;
+}
+
+// The rules in force for a launch: saved settings first, then the launch's custom parameters
+async function forLaunch(lti) {
+  const saved = (lti.assignmentId && await savedSettings(lti.courseId, lti.assignmentId)) || {};
+  const launched = lti.rules || {};
+  const pick = key => (saved[key] !== null && saved[key] !== undefined ? saved[key] : launched[key]);
+
+  return {
+    maxDuration: pick('maxDuration') || null,
+    minDuration: pick('minDuration') || null,
+    maxAttempts: pick('maxAttempts') || null,
+    prepSeconds: pick('prepSeconds') || null,
+    oneTake: pick('oneTake') === true,
+    backgroundPolicy: recordingMetadata.backgroundPolicy(pick('backgroundPolicy')),
+    // A file cannot be one take, so one-take assignments never accept them
+    allowFileUpload: pick('allowFileUpload') === true && pick('oneTake') !== true
+  };
+}
+
+// Save the settings screen. Blank fields fall back to the launch's custom parameters.
+async function save(courseId, assignmentId, values, userId) {
+  const settings = {
+    maxDuration: positiveInteger(values.maxDuration),
+    minDuration: positiveInteger(values.minDuration),
+    maxAttempts: positiveInteger(values.maxAttempts),
+    prepSeconds: positiveInteger(values.prepSeconds),
+    oneTake: flag(values.oneTake),
+    backgroundPolicy: policy(values.backgroundPolicy),
+    allowFileUpload: flag(values.allowFileUpload)
+  };
+  if (settings.minDuration && settings.maxDuration && settings.minDuration > settings.maxDuration) {
+    throw new AssignmentRuleError('The minimum length cannot be longer than the maximum length', 400);
+  }
+
+  await run(
+    `INSERT INTO assignment_settings (course_id, assignment_id, max_duration, min_duration, max_attempts,
+       prep_seconds, one_take, background_policy, allow_file_upload, updated_by, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT (course_id, assignment_id) DO UPDATE SET
+       max_duration = excluded.max_duration, min_duration = excluded.min_duration,
+       max_attempts = excluded.max_attempts, prep_seconds = excluded.prep_seconds,
+       one_take = excluded.one_take, background_policy = excluded.background_policy,
+       allow_file_upload = excluded.allow_file_upload,
+       updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+    [courseId, assignmentId, settings.maxDuration, settings.minDuration, settings.maxAttempts,
+      settings.prepSeconds, settings.oneTake === null ? null : Number(settings.oneTake),
+      settings.backgroundPolicy, settings.allowFileUpload === null ? null : Number(settings.allowFileUpload),
+      userId]
+  );
+  return settings;
+}
+
+async function countAttempts(lti) {
+  const row = await get(
+    `SELECT COUNT(*) AS count FROM submissions WHERE user_id = ? AND course_id = ? AND assignment_id = ?`,
+    [lti.userId, lti.courseId, lti.assignmentId]
+  );
+  return row.count;
+}
+
+// Takes are upload sessions opened when recording starts; rejected ones were unreadable and do not count
+async function countTakes(lti) {
+  const row = await get(
+    `SELECT COUNT(*) AS count FROM upload_sessions
+     WHERE user_id = ? AND course_id = ? AND assignment_id = ? AND status != 'rejected'`,
+    [lti.userId, lti.courseId, lti.assignmentId]
+  );
+  return row.count;
+}
+
+// In one-take mode each allowed attempt is a single take that cannot be re-recorded
+function allowedTakes(rules) {
+  return rules.maxAttempts || 1;
+}
+
+function checkAttempts(rules, attemptsUsed) {
+  if (rules.maxAttempts && attemptsUsed >= rules.maxAttempts) {
+    throw new AssignmentRuleError(
+      `You have used all ${rules.maxAttempts} attempt${rules.maxAttempts === 1 ? '' : 's'} for this assignment`, 403);
+  }
+}
+
+// Called when the recorder opens an upload session, before the student starts speaking
+async function checkCanStartTake(lti, rules) {
+  checkAttempts(rules, await countAttempts(lti));
+  if (rules.oneTake && await countTakes(lti) >= allowedTakes(rules)) {
+    throw new AssignmentRuleError('This assignment allows one take and it has already been recorded', 403);
+  }
+}
+
+// method is how the recording arrived: 'session' through an upload session, which is the take
+// itself; 'single' sent whole by the recorder; 'file' chosen by the student instead of recorded.
+// A one-take recording sent whole must belong to a take that was started and not yet submitted.
+async function checkCanSubmit(lti, rules, method) {
+  if (method === 'file' && !rules.allowFileUpload) {
+    throw new AssignmentRuleError('This assignment only accepts recordings made in the recorder', 403);
+  }
+  const attemptsUsed = await countAttempts(lti);
+  checkAttempts(rules, attemptsUsed);
+  if (rules.oneTake && method !== 'session' && await countTakes(lti) <= attemptsUsed) {
+    throw new AssignmentRuleError('This assignment only accepts a recording made in one take', 403);
+  }
+}
+
+function submitLockKey(lti) {
+  return [lti.userId, lti.courseId, lti.assignmentId].join('|');
+}
+
+// One submission per student and assignment at a time, so attempt limits cannot be raced.
+// The lock is a row in the database, so it holds across every instance sharing it.
+async function lockSubmitting(lti) {
+  const key = submitLockKey(lti);
+  const now = Date.now();
+  await run(`DELETE FROM submission_locks WHERE lock_key = ? AND locked_at < ?`, [key, now - SUBMIT_LOCK_MS]);
+  const { changes } = await run(
+    `INSERT INTO submission_locks (lock_key, locked_at) VALUES (?, ?) ON CONFLICT (lock_key) DO NOTHING`,
+    [key, now]
+  );
+  if (!changes) {
+    throw new AssignmentRuleError('Another recording is being submitted; please wait for it to finish', 409);
+  }
+}
+
+function unlockSubmitting(lti) {
+  return run(`DELETE FROM submission_locks WHERE lock_key = ?`, [submitLockKey(lti)]);
+}
+
+function checkDuration(rules, duration) {
+  if (duration === null) {
+    if (rules.maxDuration || rules.minDuration) {
+      console.warn('Recording length could not be measured; length limits not enforced');
+    }
+    return;
+  }
+  if (rules.maxDuration && duration > rules.maxDuration + DURATION_TOLERANCE_SECONDS) {
+    throw new AssignmentRuleError(`Recordings for this assignment can be at most ${rules.maxDuration} seconds long`, 400);
+  }
+  if (rules.minDuration && duration < rules.minDuration - DURATION_TOLERANCE_SECONDS) {
+    throw new AssignmentRuleError(`Recordings for this assignment must be at least ${rules.minDuration} seconds long`, 400);
+  }
+}
+
+module.exports = {
+  AssignmentRuleError,
+  fromCustomParams,
+  savedSettings,
+  forLaunch,
+  save,
+  countAttempts,
+  checkCanStartTake,
+  checkCanSubmit,
+  lockSubmitting,
+  unlockSubmitting,
+  checkDuration
+};
@@ -0,0 +1,226 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const execFileAsync = util.promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PLAYBACK_FORMAT = process.env.AUDIO_PLAYBACK_FORMAT === 'mp3' ? 'mp3' : 'm4a';
+// ffprobe and ffmpeg are killed after these. Probing reads little more than the headers. The
+// longest recording a 50 MB upload can hold is about three hours of Opus speech, which ffmpeg
+// decodes in a minute or two; one still running after ten has hung on a damaged file.
+const PROBE_TIMEOUT_MS = 30 * 1000;
+const TRANSCODE_TIMEOUT_MS = 10 * 60 * 1000;
+// A recording whose loudest moment is quieter than this (dBFS) is taken to be silent: a muted
+// or wrong microphone records digital silence (-91 dB) or a faint noise floor, speech peaks
+// far above it
+const SILENCE_THRESHOLD_DB = parseFloat(process.env.SILENCE_THRESHOLD_DB) || -60;
+
+// How many bytes at the start of a file identify its container
+const SIGNATURE_LENGTH = 12;
+
+// Whether the header has these bytes at this offset
+function bytesAt(header, offset, signature) {
+  const expected = Buffer.from(signature, 'latin1');
+  return header.length >= offset + expected.length &&
+    header.subarray(offset, offset + expected.length).equals(expected);
+}
+
+// The containers we accept: their ffprobe format names, the bytes they start with, and the
+// extension and MIME type we store them under. MP4 covers Safari's recordings, iPhone voice
+// memos (M4A) and Android's 3GP. Raw MP3 and AAC start with a frame sync rather than a
+// signature; the layer bits tell them apart.
+const CONTAINERS = [
+  { formats: ['webm', 'matroska'], extension: 'webm', mimeType: 'audio/webm',
+    matches: header => bytesAt(header, 0, '\x1a\x45\xdf\xa3') },
+  { formats: ['ogg'], extension: 'ogg', mimeType: 'audio/ogg',
+    matches: header => bytesAt(header, 0, 'OggS') },
+  { formats: ['mp4', 'mov', 'm4a', '3gp'], extension: 'm4a', mimeType: 'audio/mp4',
+    matches: header => bytesAt(header, 4, 'ftyp') },
+  { formats: ['wav'], extension: 'wav', mimeType: 'audio/wav',
+    matches: header => bytesAt(header, 0, 'RIFF') && bytesAt(header, 8, 'WAVE') },
+  { formats: ['mp3'], extension: 'mp3', mimeType: 'audio/mpeg',
+    matches: header => bytesAt(header, 0, 'ID3') ||
+      (header[0] === 0xff && (header[1] & 0xe0) === 0xe0 && (header[1] & 0x06) !== 0) },
+  { formats: ['flac'], extension: 'flac', mimeType: 'audio/flac',
+    matches: header => bytesAt(header, 0, 'fLaC') },
+  { formats: ['aac'], extension: 'aac', mimeType: 'audio/aac',
+    matches: header => header[0] === 0xff && (header[1] & 0xf6) === 0xf0 },
+  { formats: ['amr'], extension: 'amr', mimeType: 'audio/amr',
+    matches: header => bytesAt(header, 0, '#!AMR') }
+];
+const UNKNOWN_CONTAINER = { extension: 'bin', mimeType: 'application/octet-stream' };
+
+const PLAYBACK_FORMATS = {
+  m4a: { args: ['-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart'], mimeType: 'audio/mp4' },
+  mp3: { args: ['-c:a', 'libmp3lame', '-q:a', '4'], mimeType: 'audio/mpeg' }
+};
+
+// The file could not be used as a recording: unreadable, empty or silent. The message is
+// safe to show the user.
+class AudioFormatError extends Error {}
+
+// Raised for a file that has to be decoded before it is accepted when ffmpeg is not installed;
+// carries an HTTP status
+class DecoderUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 503;
+  }
+}
+
+function describeContainer(formatName) {
+  const names = String(formatName || '').split(',');
+  const container = CONTAINERS.find(c => c.formats.some(f => names.includes(f)));
+  return container || UNKNOWN_CONTAINER;
+}
+
+// What a file is by its first bytes, not by the type the browser claimed for it.
+// Resolves to { extension, mimeType }, or null when it is none of the containers we accept.
+async function identify(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SIGNATURE_LENGTH), 0, SIGNATURE_LENGTH, 0);
+    const header = buffer.subarray(0, bytesRead);
+    const container = CONTAINERS.find(c => c.matches(header));
+    return container ? { extension: container.extension, mimeType: container.mimeType } : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Run ffprobe or ffmpeg. One that has to be killed for taking too long was stuck on the file,
+// so the file is refused as unreadable.
+async function runTool(command, args, timeout) {
+  try {
+    return await execFileAsync(command, args, { timeout, killSignal: 'SIGKILL' });
+  } catch (err) {
+    if (err.killed) {
+      throw new AudioFormatError('The uploaded file took too long to read and may be damaged');
+    }
+    throw err;
+  }
+}
+
+// Wait for an ffmpeg run, removing whatever part of its output it wrote if it fails
+async function removeOnFailure(outputPath, running) {
+  try {
+    return await running;
+  } catch (err) {
+    await fs.promises.unlink(outputPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Returns { container, codec, duration, extension, mimeType } for a file on disk.
+// duration is in seconds and null when the container does not record it (MediaRecorder WebM).
+async function probe(filePath) {
+  let output;
+  try {
+    ({ stdout: output } = await runTool(FFPROBE_PATH, [
+      '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+    ], PROBE_TIMEOUT_MS));
+  } catch (err) {
+    if (err.code === 'ENOENT' || err instanceof AudioFormatError) {
+      throw err;
+    }
+    throw new AudioFormatError('The uploaded file is not a readable audio recording');
+  }
+
+  const info = JSON.parse(output);
+  const stream = (info.streams || []).find(s => s.codec_type === 'audio');
+  if (!stream || !info.format) {
+    throw new AudioFormatError('The uploaded file does not contain any audio');
+  }
+
+  const duration = parseFloat(info.format.duration);
+  const { extension, mimeType } = describeContainer(info.format.format_name);
+  return {
+    container: info.format.format_name,
+    codec: stream.codec_name,
+    duration: isFinite(duration) ? duration : null,
+    extension,
+    mimeType
+  };
+}
+
+// The loudness of a file as { samples, peak, mean }, peak and mean in dBFS (0 is full scale).
+// This decodes every sample, so a file that only looks like audio is refused here.
+async function measureLevels(filePath) {
+  let stderr;
+  try {
+    ({ stderr } = await runTool(FFMPEG_PATH, [
+      '-hide_banner', '-nostats',
+      '-i', filePath,
+      '-vn', '-af', 'volumedetect', '-f', 'null', '-'
+    ], TRANSCODE_TIMEOUT_MS));
+  } catch (err) {
+    // ffmpeg ran and failed, rather than being missing
+    if (typeof err.code === 'number') {
+      throw new AudioFormatError('The uploaded file could not be decoded as audio');
+    }
+    throw err;
+  }
+
+  const read = (name) => {
+    const match = stderr.match(new RegExp(`${name}: (-?[\\d.]+|-inf)`));
+    return match ? parseFloat(match[1].replace('inf', 'Infinity')) : null;
+  };
+  return { samples: read('n_samples') || 0, peak: read('max_volume'), mean: read('mean_volume') };
+}
+
+// Refuse a recording with no sound in it, which is almost always a muted or wrong microphone
+async function checkAudible(filePath) {
+  const levels = await measureLevels(filePath);
+  if (!levels.samples) {
+    throw new AudioFormatError('The recording is empty');
+  }
+  if (levels.peak === null || levels.peak < SILENCE_THRESHOLD_DB) {
+    throw new AudioFormatError('The recording is silent. Check that the right microphone is selected and not muted, then record again.');
+  }
+  return levels;
+}
+
+// Transcode to the canonical playback format next to the input; resolves to the new file's path
+async function transcode(inputPath) {
+  const format = PLAYBACK_FORMATS[PLAYBACK_FORMAT];
+  const outputPath = path.join(path.dirname(inputPath), `${path.basename(inputPath)}-playback.${PLAYBACK_FORMAT}`);
+
+  await removeOnFailure(outputPath, runTool(FFMPEG_PATH, [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', inputPath,
+    '-vn', '-map_metadata', '-1', '-ac', '1',
+    ...format.args,
+    outputPath
+  ], TRANSCODE_TIMEOUT_MS));
+
+  return outputPath;
+}
+
+// 16 kHz mono PCM WAV next to the input, the format speech engines expect; resolves to its path
+async function toSpeechWav(inputPath) {
+  const outputPath = path.join(path.dirname(inputPath), `${path.basename(inputPath)}-speech.wav`);
+
+  await removeOnFailure(outputPath, runTool(FFMPEG_PATH, [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', inputPath,
+    '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+    outputPath
+  ], TRANSCODE_TIMEOUT_MS));
+
+  return outputPath;
+}
+
+module.exports = {
+  AudioFormatError,
+  DecoderUnavailableError,
+  PLAYBACK_FORMAT,
+  identify,
+  probe,
+  measureLevels,
+  checkAudible,
+  transcode,
+  toSpeechWav
+};
@@ -0,0 +1,257 @@
+const { v4: uuidv4 } = require('uuid');
+const { all, run } = require('./db');
+const { csvLine } = require('./csv');
+
+// An append-only record of who launched, recorded, listened and graded, and when, for
+// academic integrity disputes. Each event has an action:
+//
+//   launch               an LTI launch
+//   submission.upload    a recording was submitted (details: how, size, duration)
+//   submission.rejected  a recording was refused (details: why)
+//   submission.view      a submission was opened
+//   submission.play      a submission's recording started playing (details: variant)
+//   grade.save           a grader saved a score (details: score, max score, comment)
+//   grade.passback       an attempt to send a grade to Canvas (details: outcome, attempt, error)
+//   export.assignment    an instructor downloaded an assignment's recordings
+//   retention.purge      expired submissions were deleted (details: how many)
+//   admin.user_export    an administrator exported a user's data
+//   admin.user_erase     an administrator erased a user's data
+//   admin.consumer       an administrator changed an LTI consumer (details: key, change)
+//
+// actor_* is who did it, from their launch; subject_user_id is the student whose work it
+// concerns. occurred_at is in milliseconds. Events outlive the submissions they mention and
+// are never deleted, but what they say about a person can be taken off them:
+//
+//   AUDIT_RETENTION_DAYS=<n>   events older than n days lose the actor's name, address and
+//                              browser (by default they keep them)
+//   erasing a user             takes their name, address and browser off their events and
+//                              replaces their id with a pseudonym, so the history still reads
+//                              as one person's but no longer says whose
+
+const FIELDS = [
+  'occurred_at', 'action', 'actor_id', 'actor_name', 'actor_roles', 'course_id', 'assignment_id',
+  'submission_id', 'subject_user_id', 'ip', 'user_agent', 'details', 'id'
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || null;
+
+// Raised for a query that cannot be run; carries an HTTP status
+class AuditError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Store an event. An audit write never fails what is being audited; a failure goes to the log.
+async function append(event) {
+  try {
+    await run(
+      `INSERT INTO audit_events (id, occurred_at, action, actor_id, actor_name, actor_roles, course_id,
+         assignment_id, submission_id, subject_user_id, ip, user_agent, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), Date.now(), event.action, event.actorId || null, event.actorName || null,
+        event.actorRoles || null, event.courseId || null, event.assignmentId || null,
+        event.submissionId || null, event.subjectUserId || null, event.ip || null, event.userAgent || null,
+        event.details ? JSON.stringify(event.details) : null]
+    );
+  } catch (err) {
+    console.error(`Audit event ${event.action} was not recorded:`, err);
+  }
+}
+
+// Store an event for a request, taking the actor and course from its launch. fields may
+// override any of them, and add submissionId, subjectUserId and details.
+function record(req, action, fields = {}) {
+  const lti = req.session && req.session.lti ? req.session.lti : {};
+  return append({
+    action,
+    actorId: lti.userId,
+    actorName: lti.userName,
+    actorRoles: lti.roles,
+    courseId: lti.courseId,
+    assignmentId: lti.assignmentId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...fields
+  });
+}
+
+// Take what identifies a user off the events about them. userIds are every id the user has
+// been recorded under. Resolves to the pseudonym now in their place and how many events changed.
+async function pseudonymize(userIds) {
+  const pseudonym = `erased:${uuidv4()}`;
+  const list = userIds.map(() => '?').join(', ');
+  const acted = await run(
+    `UPDATE audit_events SET actor_id = ?, actor_name = NULL, ip = NULL, user_agent = NULL WHERE actor_id IN (${list})`,
+    [pseudonym, ...userIds]
+  );
+  const concerned = await run(
+    `UPDATE audit_events SET subject_user_id = ? WHERE subject_user_id IN (${list})`, [pseudonym, ...userIds]
+  );
+  return { pseudonym, events: acted.changes + concerned.changes };
+}
+
+// Clear the actor's name, address and browser from events past RETENTION_DAYS. Resolves to
+// how many events changed; with dryRun, how many would.
+async function clearExpired({ dryRun = false } = {}) {
+  if (!RETENTION_DAYS) {
+    return 0;
+  }
+  const where = `occurred_at < ? AND (actor_name IS NOT NULL OR ip IS NOT NULL OR user_agent IS NOT NULL)`;
+  const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+  if (dryRun) {
+    const rows = await all(`SELECT COUNT(*) AS count FROM audit_events WHERE ${where}`, [cutoff]);
+    return Number(rows[0].count);
+  }
+  const { changes } = await run(
+    `UPDATE audit_events SET actor_name = NULL, ip = NULL, user_agent = NULL WHERE ${where}`, [cutoff]
+  );
+  return changes;
+}
+
+// A date (the whole day, UTC) or a date and time, in milliseconds
+function parseTime(value, name, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(time)) {
+    throw new AuditError(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 date and time`, 400);
+  }
+  return dateOnly && endOfDay ? time + DAY_MS - 1 : time;
+}
+
+// Filters for list() and writeCsv() from query options: course, user (who acted, or whose
+// work it was), action, and from / to inclusive
+function parseFilters(options) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const filters = {
+    courseId: text(options.course),
+    userId: text(options.user),
+    action: text(options.action),
+    from: text(options.from) ? parseTime(text(options.from), 'from', false) : null,
+    to: text(options.to) ? parseTime(text(options.to), 'to', true) : null
+  };
+  if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+    throw new AuditError('from must not be after to', 400);
+  }
+  return filters;
+}
+
+function whereClause(filters, after) {
+  const conditions = [];
+  const params = [];
+  if (filters.courseId) {
+    conditions.push('course_id = ?');
+    params.push(filters.courseId);
+  }
+  if (filters.userId) {
+    conditions.push('(actor_id = ? OR subject_user_id = ?)');
+    params.push(filters.userId, filters.userId);
+  }
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.from !== null && filters.from !== undefined) {
+    conditions.push('occurred_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to !== null && filters.to !== undefined) {
+    conditions.push('occurred_at <= ?');
+    params.push(filters.to);
+  }
+  if (after) {
+    conditions.push('(occurred_at > ? OR (occurred_at = ? AND id > ?))');
+    params.push(after.occurredAt, after.occurredAt, after.id);
+  }
+  return [conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params];
+}
+
+function isoTime(milliseconds) {
+  return new Date(Number(milliseconds)).toISOString();
+}
+
+function toEvent(row) {
+  return {
+    ...row,
+    occurred_at: isoTime(row.occurred_at),
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+// Pages are continued from an opaque cursor naming the last event of the previous page
+function encodeCursor(row) {
+  return Buffer.from(`${row.occurred_at}:${row.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [occurredAt, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!id || isNaN(Number(occurredAt))) {
+    throw new AuditError('Invalid cursor', 400);
+  }
+  return { occurredAt: Number(occurredAt), id };
+}
+
+async function page(filters, after, limit) {
+  const [where, params] = whereClause(filters, after);
+  return all(
+    `SELECT ${FIELDS.join(', ')} FROM audit_events ${where} ORDER BY occurred_at, id LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+// Events matching filters, oldest first, limit at a time. next is the cursor for the
+// following page, null on the last one.
+async function list(filters, { cursor, limit = 100 } = {}) {
+  const rows = await page(filters, cursor ? decodeCursor(cursor) : null, limit);
+  return {
+    events: rows.map(toEvent),
+    next: rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+// Resolves when output can take more, or has gone away
+function drained(output) {
+  return new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.once('drain', done);
+    output.once('close', done);
+  });
+}
+
+// Write every event matching filters to output as CSV, a page at a time
+async function writeCsv(output, filters) {
+  output.write(csvLine(FIELDS));
+  let after = null;
+  for (;;) {
+    const rows = await page(filters, after, PAGE_SIZE);
+    // details stays the JSON it was stored as
+    const text = rows
+      .map(row => csvLine(FIELDS.map(field => (field === 'occurred_at' ? isoTime(row.occurred_at) : row[field]))))
+      .join('');
+    if (text && !output.write(text)) {
+      await drained(output);
+    }
+    if (output.destroyed || rows.length < PAGE_SIZE) break;
+    const last = rows[rows.length - 1];
+    after = { occurredAt: last.occurred_at, id: last.id };
+  }
+  output.end();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  AuditError,
+  append,
+  record,
+  pseudonymize,
+  clearExpired,
+  parseFilters,
+  list,
+  writeCsv
+};
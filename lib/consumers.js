@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { get, all, run } = require('./db');
+
+// LTI 1.1 consumers: each Canvas instance (or sub-account) gets its own key and secret, so
+// one can be given credentials, or have them revoked, without touching the others.
+//
+// A launch's oauth_consumer_key picks the secret it is checked against:
+//
+//   a registered, enabled consumer   its own secret
+//   a registered, disabled consumer  refused
+//   any other key                    LTI_SECRET, if set (a single Canvas, as before the registry)
+//
+// Course and user ids from a registered consumer are stored as <key>:<id>, so two Canvas
+// instances that hand out the same context_id (a test instance copied from production, say)
+// never share submissions. Launches checked against LTI_SECRET keep the ids as they come.
+//
+// OAuth 1.0 signatures are an HMAC keyed with the secret itself, so it cannot be stored as a
+// one-way hash. It is encrypted with CONSUMER_SECRET_KEY instead, which lives outside the
+// database; a copy of the database alone does not give away any secret.
+const KEY_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+const MIN_SECRET_LENGTH = 16;
+
+// Raised for a consumer that cannot be saved; carries an HTTP status
+class ConsumerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function encryptionKey() {
+  if (!process.env.CONSUMER_SECRET_KEY) {
+    throw new ConsumerError('CONSUMER_SECRET_KEY is not set', 500);
+  }
+  return crypto.createHash('sha256').update(process.env.CONSUMER_SECRET_KEY).digest();
+}
+
+// AES-256-GCM, stored as v1:<iv>:<tag>:<ciphertext> in base64
+function encrypt(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(stored) {
+  const [, iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function checkSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw new ConsumerError(`The secret must be at least ${MIN_SECRET_LENGTH} characters`, 400);
+  }
+}
+
+// What is shown of a consumer; the secret never leaves this module except from add() and
+// rotateSecret()
+function toConsumer(row) {
+  return {
+    key: row.consumer_key,
+    name: row.name,
+    enabled: Boolean(Number(row.enabled)),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function list() {
+  return all(`SELECT * FROM lti_consumers ORDER BY consumer_key`).then(rows => rows.map(toConsumer));
+}
+
+async function find(key) {
+  const row = await get(`SELECT * FROM lti_consumers WHERE consumer_key = ?`, [key]);
+  return row ? toConsumer(row) : null;
+}
+
+// Register a consumer. Without a secret one is generated. Resolves to the consumer with its
+// secret, which is the only time it can be read back.
+async function add({ key, name, secret }) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new ConsumerError('The key must be 1 to 100 letters, digits, dots, dashes or underscores', 400);
+  }
+  const chosen = secret === undefined || secret === null ? generateSecret() : secret;
+  checkSecret(chosen);
+  if (await find(key)) {
+    throw new ConsumerError(`Consumer ${key} is already registered`, 409);
+  }
+
+  await run(
+    `INSERT INTO lti_consumers (consumer_key, name, secret_encrypted, enabled) VALUES (?, ?, ?, 1)`,
+    [key, name || key, encrypt(chosen)]
+  );
+  return { ...await find(key), secret: chosen };
+}
+
+// Change the name or the enabled flag; resolves to the consumer, or null if there is none
+async function update(key, { name, enabled }) {
+  const changes = [];
+  const params = [];
+  if (name !== undefined) {
+    changes.push('name = ?');
+    params.push(name || key);
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new ConsumerError('enabled must be true or false', 400);
+    }
+    changes.push('enabled = ?');
+    params.push(enabled ? 1 : 0);
+  }
+  if (changes.length) {
+    await run(
+      `UPDATE lti_consumers SET ${changes.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE consumer_key = ?`,
+      [...params, key]
+    );
+  }
+  return find(key);
+}
+
+// Replace a consumer's secret; resolves to the consumer with the new one, or null if there is none
+async function rotateSecret(key, secret) {
+  const chosen = secret === undefined || secret === null ? generateSecret() : secret;
+  checkSecret(chosen);
+  const { changes } = await run(
+    `UPDATE lti_consumers SET secret_encrypted = ?, updated_at = CURRENT_TIMESTAMP WHERE consumer_key = ?`,
+    [encrypt(chosen), key]
+  );
+  return changes ? { ...await find(key), secret: chosen } : null;
+}
+
+// Submissions made through a removed consumer stay, under their scoped ids
+function remove(key) {
+  return run(`DELETE FROM lti_consumers WHERE consumer_key = ?`, [key]);
+}
+
+// The consumer a launch or grade belongs to: { key, secret, scoped }, or null when the key may
+// not be used
+async function resolve(key) {
+  if (!key) return null;
+  const row = await get(`SELECT * FROM lti_consumers WHERE consumer_key = ?`, [key]);
+  if (row) {
+    return Number(row.enabled) ? { key, secret: decrypt(row.secret_encrypted), scoped: true } : null;
+  }
+  return process.env.LTI_SECRET ? { key, secret: process.env.LTI_SECRET, scoped: false } : null;
+}
+
+// A context or user id as stored for this consumer
+function scopedId(consumer, id) {
+  return consumer.scoped && id ? `${consumer.key}:${id}` : id;
+}
+
+async function countEnabled() {
+  const row = await get(`SELECT COUNT(*) AS count FROM lti_consumers WHERE enabled = 1`);
+  return Number(row.count);
+}
+
+module.exports = {
+  ConsumerError,
+  list,
+  find,
+  add,
+  update,
+  rotateSecret,
+  remove,
+  resolve,
+  scopedId,
+  countEnabled
+};
@@ -0,0 +1,126 @@
+const { v4: uuidv4 } = require('uuid');
+const oauth1 = require('./oauth1');
+const lti13 = require('./lti13');
+const consumers = require('./consumers');
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const DL_SETTINGS_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings';
+const LTI_LINK_MEDIA_TYPE = 'application/vnd.ims.lti.v1.ltilink';
+
+const CLIP_PLAYER_WIDTH = 480;
+const CLIP_PLAYER_HEIGHT = 140;
+
+// Canvas offers only LTI links from assignment_selection, while editor_button also accepts
+// HTML, files and images. A request that accepts nothing but links is picking an assignment.
+function selectionMode(acceptedTypes, linkType) {
+  return acceptedTypes.every(type => type === linkType) ? 'assignment' : 'clip';
+}
+
+// Selection state for an LTI 1.1 ContentItemSelectionRequest
+function selectionFromContentItemRequest(body) {
+  const acceptMediaTypes = (body.accept_media_types || LTI_LINK_MEDIA_TYPE).split(',').map(t => t.trim());
+  return {
+    ltiVersion: '1.1',
+    mode: selectionMode(acceptMediaTypes, LTI_LINK_MEDIA_TYPE),
+    returnUrl: body.content_item_return_url,
+    data: body.data,
+    consumerKey: body.oauth_consumer_key
+  };
+}
+
+// Selection state for an LTI 1.3 LtiDeepLinkingRequest
+function selectionFromDeepLinkingClaims(claims, platform) {
+  const settings = claims[DL_SETTINGS_CLAIM] || {};
+  return {
+    ltiVersion: '1.3.0',
+    mode: selectionMode(settings.accept_types || ['ltiResourceLink'], 'ltiResourceLink'),
+    returnUrl: settings.deep_link_return_url,
+    data: settings.data,
+    platformId: platform.id,
+    clientId: platform.client_id,
+    issuer: platform.issuer,
+    deploymentId: claims[LTI_CLAIM + 'deployment_id']
+  };
+}
+
+// A link back into the tool. `custom` travels with every launch of the link; `embed`
+// asks the platform to show it inline as a small player.
+function buildLinkItem(selection, { toolUrl, title, text, custom, embed }) {
+  if (selection.ltiVersion === '1.3.0') {
+    const item = { type: 'ltiResourceLink', title, text, url: `${toolUrl}/lti13/launch`, custom };
+    if (embed) {
+      item.iframe = { width: CLIP_PLAYER_WIDTH, height: CLIP_PLAYER_HEIGHT };
+    }
+    return item;
+  }
+
+  const item = {
+    '@type': 'LtiLinkItem',
+    mediaType: LTI_LINK_MEDIA_TYPE,
+    '@id': `${toolUrl}/launch`,
+    url: `${toolUrl}/launch`,
+    title,
+    text,
+    custom
+  };
+  if (embed) {
+    item.placementAdvice = {
+      presentationDocumentTarget: 'iframe',
+      displayWidth: CLIP_PLAYER_WIDTH,
+      displayHeight: CLIP_PLAYER_HEIGHT
+    };
+  }
+  return item;
+}
+
+// Returns { action, params } for the browser to POST back to the platform
+async function buildResponse(selection, items) {
+  if (selection.ltiVersion === '1.3.0') {
+    const payload = {
+      nonce: uuidv4(),
+      [LTI_CLAIM + 'message_type']: 'LtiDeepLinkingResponse',
+      [LTI_CLAIM + 'version']: '1.3.0',
+      [LTI_CLAIM + 'deployment_id']: selection.deploymentId,
+      'https://purl.imsglobal.org/spec/lti-dl/claim/content_items': items
+    };
+    if (selection.data) {
+      payload['https://purl.imsglobal.org/spec/lti-dl/claim/data'] = selection.data;
+    }
+
+    const token = await lti13.signToolJwt(payload, {
+      issuer: selection.clientId,
+      audience: selection.issuer,
+      expiresIn: 300
+    });
+    return { action: selection.returnUrl, params: { JWT: token } };
+  }
+
+  const params = {
+    lti_message_type: 'ContentItemSelection',
+    lti_version: 'LTI-1p0',
+    content_items: JSON.stringify({
+      '@context': 'http://purl.imsglobal.org/ctx/lti/v1/ContentItem',
+      '@graph': items
+    })
+  };
+  if (selection.data) {
+    params.data = selection.data;
+  }
+
+  // Looked up again rather than kept in the session; a consumer disabled since cannot be answered
+  const consumer = await consumers.resolve(selection.consumerKey);
+  if (!consumer) {
+    throw new Error(`LTI consumer ${selection.consumerKey} is not registered or is disabled`);
+  }
+  return {
+    action: selection.returnUrl,
+    params: oauth1.signParams(selection.returnUrl, params, consumer.key, consumer.secret)
+  };
+}
+
+module.exports = {
+  selectionFromContentItemRequest,
+  selectionFromDeepLinkingClaims,
+  buildLinkItem,
+  buildResponse
+};
@@ -0,0 +1,22 @@
+// CSV for spreadsheets: RFC 4180 quoting, CRLF line ends
+
+// Quote for CSV, and defuse values a spreadsheet would run as a formula
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+// A header line of fields and one line per row, taking each field from the row
+function toCsv(fields, rows) {
+  return csvLine(fields) + rows.map(row => csvLine(fields.map(field => row[field]))).join('');
+}
+
+module.exports = { csvLine, toCsv };
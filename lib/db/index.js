@@ -0,0 +1,83 @@
+const fs = require('fs');
+const migrate = require('./migrate');
+
+// Where data lives:
+//
+//   DATABASE_URL=postgres://...  PostgreSQL; several instances of the tool can share it
+//   DATABASE_PATH=<file>         a SQLite file (default data/submissions.db); :memory: for a
+//                                throwaway database
+//
+// Queries are written once, with ? placeholders and SQL both databases understand; the
+// modules in lib/repositories keep them out of the route handlers.
+
+// Production servers set up before DATABASE_PATH existed keep their data here
+const LEGACY_PRODUCTION_PATH = '/home/bitnami/app-data/submissions.db';
+
+function sqlitePath() {
+  if (process.env.DATABASE_PATH) {
+    return process.env.DATABASE_PATH;
+  }
+  if (process.env.NODE_ENV === 'production' && fs.existsSync(LEGACY_PRODUCTION_PATH)) {
+    console.warn(`DATABASE_PATH is not set; using ${LEGACY_PRODUCTION_PATH}`);
+    return LEGACY_PRODUCTION_PATH;
+  }
+  return 'data/submissions.db';
+}
+
+function connect() {
+  const url = process.env.DATABASE_URL;
+  if (url && /^postgres(ql)?:\/\//.test(url)) {
+    return require('./postgres').connect(url);
+  }
+  return require('./sqlite').connect(sqlitePath());
+}
+
+const connection = connect();
+
+// Resolves once the schema is up to date. Queries wait for it, so nothing reads a table
+// before its migration has run.
+const ready = migrate.latest(connection);
+
+async function get(sql, params = []) {
+  await ready;
+  return connection.get(sql, params);
+}
+
+async function all(sql, params = []) {
+  await ready;
+  return connection.all(sql, params);
+}
+
+async function run(sql, params = []) {
+  await ready;
+  return connection.run(sql, params);
+}
+
+// A UTC time the given number of seconds ago, in the form CURRENT_TIMESTAMP stores, for
+// comparing with timestamp columns on either database
+function secondsAgo(seconds) {
+  return new Date(Date.now() - seconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Resolves if the database can be written. The write changes nothing, but a read-only
+// SQLite file or a lost PostgreSQL connection still fails it, where a SELECT would not.
+async function check() {
+  await ready;
+  await connection.run(`UPDATE schema_migrations SET name = name WHERE version < 0`);
+}
+
+function migrationStatus() {
+  return ready.then(() => migrate.status(connection));
+}
+
+module.exports = {
+  dialect: connection.dialect,
+  ready,
+  get,
+  all,
+  run,
+  secondsAgo,
+  check,
+  migrationStatus,
+  close: () => connection.close()
+};
@@ -0,0 +1,46 @@
+const migrations = require('./migrations');
+
+// Which migrations have run is kept in schema_migrations, one row per version
+async function createVersionTable(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Apply every migration the database has not had yet, in order, each in its own transaction.
+// Resolves to the migrations that were applied.
+function latest(connection) {
+  return connection.exclusive(async db => {
+    await createVersionTable(db);
+    const applied = [];
+    for (const migration of migrations) {
+      const ran = await db.transaction(async tx => {
+        // Another instance may have applied it while this one waited
+        if (await tx.get(`SELECT version FROM schema_migrations WHERE version = ?`, [migration.version])) {
+          return false;
+        }
+        await migration.up(tx);
+        await tx.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+        return true;
+      });
+      if (ran) {
+        console.log(`Applied database migration ${migration.version} (${migration.name})`);
+        applied.push(migration);
+      }
+    }
+    return applied;
+  });
+}
+
+// Every known migration with when it was applied, null if it is still pending. Call after latest().
+async function status(connection) {
+  const rows = await connection.all(`SELECT version, applied_at FROM schema_migrations`);
+  return migrations.map(migration => {
+    const row = rows.find(r => r.version === migration.version);
+    return { version: migration.version, name: migration.name, appliedAt: row ? row.applied_at : null };
+  });
+}
+
+module.exports = { latest, status };
@@ -0,0 +1,221 @@
+// The schema as it stood when migrations were introduced. Databases created before then
+// already have some of these tables, possibly without columns added later, so everything
+// here is conditional.
+
+// Columns added after a table's first release
+async function addColumnIfMissing(db, table, column, type) {
+  if (db.dialect === 'postgres') {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+    return;
+  }
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS submissions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    course_id TEXT,
+    assignment_id TEXT,
+    audio_url TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    duration INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await addColumnIfMissing(db, 'submissions', 'user_name', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'consumer_key', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'lis_result_sourcedid', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'lis_outcome_service_url', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'outcome_data_types', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'score', 'DOUBLE PRECISION');
+  await addColumnIfMissing(db, 'submissions', 'grader_comment', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'graded_by', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'graded_at', 'TIMESTAMP');
+  await addColumnIfMissing(db, 'submissions', 'lti_version', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'platform_id', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'line_item_url', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'mime_type', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'recording_metadata', 'TEXT');
+  await addColumnIfMissing(db, 'submissions', 'storage_key', 'TEXT');
+  // Length of the take before the student trimmed it; equal to duration when it was not trimmed
+  await addColumnIfMissing(db, 'submissions', 'original_duration', 'INTEGER');
+
+  // The uploaded original and the transcoded playback copy of each submission
+  await db.run(`CREATE TABLE IF NOT EXISTS submission_files (
+    id TEXT PRIMARY KEY,
+    submission_id TEXT NOT NULL,
+    variant TEXT NOT NULL,
+    audio_url TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    mime_type TEXT,
+    container TEXT,
+    codec TEXT,
+    duration DOUBLE PRECISION,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await addColumnIfMissing(db, 'submission_files', 'storage_key', 'TEXT');
+
+  // Recordings streamed in chunks while the student records
+  await db.run(`CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    lti TEXT NOT NULL,
+    mime_type TEXT,
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    submission_id TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await addColumnIfMissing(db, 'upload_sessions', 'course_id', 'TEXT');
+  await addColumnIfMissing(db, 'upload_sessions', 'assignment_id', 'TEXT');
+
+  // Speech-to-text of each submission, produced in the background
+  await db.run(`CREATE TABLE IF NOT EXISTS transcripts (
+    submission_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    engine TEXT,
+    language TEXT,
+    text TEXT,
+    segments TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Spoken feedback an instructor recorded on a submission
+  await db.run(`CREATE TABLE IF NOT EXISTS feedback_clips (
+    id TEXT PRIMARY KEY,
+    submission_id TEXT NOT NULL,
+    course_id TEXT NOT NULL,
+    author_id TEXT,
+    author_name TEXT,
+    audio_url TEXT,
+    storage_key TEXT,
+    original_storage_key TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    duration INTEGER,
+    mime_type TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Comments an instructor pinned to a moment in a submission, offset in seconds
+  await db.run(`CREATE TABLE IF NOT EXISTS submission_comments (
+    id TEXT PRIMARY KEY,
+    submission_id TEXT NOT NULL,
+    course_id TEXT NOT NULL,
+    offset_seconds DOUBLE PRECISION NOT NULL,
+    body TEXT NOT NULL,
+    author_id TEXT,
+    author_name TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Grades waiting to be sent to Canvas, and the outcome of sending them (see lib/gradePassback.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS grade_jobs (
+    id TEXT PRIMARY KEY,
+    submission_id TEXT NOT NULL,
+    course_id TEXT,
+    assignment_id TEXT,
+    user_id TEXT,
+    lti_version TEXT,
+    consumer_key TEXT,
+    lis_result_sourcedid TEXT,
+    lis_outcome_service_url TEXT,
+    outcome_data_types TEXT,
+    platform_id TEXT,
+    line_item_url TEXT,
+    score DOUBLE PRECISION NOT NULL,
+    max_score DOUBLE PRECISION NOT NULL,
+    comment TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at BIGINT,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP
+  )`);
+  // When each job was queued, in milliseconds: SQLite's rowid told apart jobs saved in the same
+  // second, and PostgreSQL has no rowid
+  await addColumnIfMissing(db, 'grade_jobs', 'queued_at', 'BIGINT');
+  if (db.dialect === 'sqlite') {
+    // Existing jobs keep their order, and all sort before ones queued from now on
+    await db.run(`UPDATE grade_jobs SET queued_at = rowid WHERE queued_at IS NULL`);
+  }
+  await db.run(`CREATE INDEX IF NOT EXISTS grade_jobs_due ON grade_jobs (status, next_attempt_at)`);
+  await db.run(`CREATE INDEX IF NOT EXISTS grade_jobs_submission ON grade_jobs (submission_id)`);
+
+  // Recording rules an instructor saved for an assignment; null columns defer to the launch
+  await db.run(`CREATE TABLE IF NOT EXISTS assignment_settings (
+    course_id TEXT NOT NULL,
+    assignment_id TEXT NOT NULL,
+    max_duration INTEGER,
+    min_duration INTEGER,
+    max_attempts INTEGER,
+    prep_seconds INTEGER,
+    one_take INTEGER,
+    background_policy TEXT,
+    updated_by TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (course_id, assignment_id)
+  )`);
+
+  // Audio clips recorded from the rich content editor button
+  await db.run(`CREATE TABLE IF NOT EXISTS clips (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    course_id TEXT,
+    title TEXT,
+    audio_url TEXT,
+    file_name TEXT,
+    file_size INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await addColumnIfMissing(db, 'clips', 'duration', 'INTEGER');
+  await addColumnIfMissing(db, 'clips', 'mime_type', 'TEXT');
+  await addColumnIfMissing(db, 'clips', 'storage_key', 'TEXT');
+
+  // LTI 1.3: registered platforms, the tool's signing keys and pending OIDC logins
+  await db.run(`CREATE TABLE IF NOT EXISTS lti13_platforms (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    issuer TEXT NOT NULL,
+    client_id TEXT NOT NULL,
+    deployment_ids TEXT,
+    auth_login_url TEXT NOT NULL,
+    auth_token_url TEXT NOT NULL,
+    jwks_url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (issuer, client_id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS lti13_keys (
+    kid TEXT PRIMARY KEY,
+    private_key TEXT NOT NULL,
+    public_jwk TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS lti13_logins (
+    state TEXT PRIMARY KEY,
+    nonce TEXT NOT NULL,
+    platform_id TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS lti13_used_nonces (
+    nonce TEXT PRIMARY KEY,
+    expires_at BIGINT NOT NULL
+  )`);
+}
+
+module.exports = { version: 1, name: 'initial_schema', up };
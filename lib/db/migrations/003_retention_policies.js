@@ -0,0 +1,14 @@
+// How long each course keeps its recordings, overriding RETENTION_DAYS (see lib/retention.js).
+// retain_days is null for a course that keeps them forever.
+async function up(db) {
+  await db.run(`CREATE TABLE retention_policies (
+    course_id TEXT PRIMARY KEY,
+    retain_days INTEGER,
+    updated_by TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run(`CREATE INDEX IF NOT EXISTS submissions_course_created ON submissions (course_id, created_at)`);
+  await db.run(`CREATE INDEX IF NOT EXISTS submissions_user ON submissions (user_id)`);
+}
+
+module.exports = { version: 3, name: 'retention_policies', up };
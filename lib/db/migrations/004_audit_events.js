@@ -0,0 +1,40 @@
+// Who did what, and when, for settling disputes (see lib/audit.js). Rows are only ever
+// added; the database refuses to change or delete them.
+async function up(db) {
+  await db.run(`CREATE TABLE audit_events (
+    id TEXT PRIMARY KEY,
+    occurred_at BIGINT NOT NULL,
+    action TEXT NOT NULL,
+    actor_id TEXT,
+    actor_name TEXT,
+    actor_roles TEXT,
+    course_id TEXT,
+    assignment_id TEXT,
+    submission_id TEXT,
+    subject_user_id TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    details TEXT
+  )`);
+  await db.run(`CREATE INDEX audit_events_course ON audit_events (course_id, occurred_at)`);
+  await db.run(`CREATE INDEX audit_events_actor ON audit_events (actor_id, occurred_at)`);
+  await db.run(`CREATE INDEX audit_events_subject ON audit_events (subject_user_id, occurred_at)`);
+  await db.run(`CREATE INDEX audit_events_time ON audit_events (occurred_at)`);
+
+  if (db.dialect === 'postgres') {
+    await db.run(`CREATE FUNCTION audit_events_append_only() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events is append-only';
+      END
+    $$`);
+    await db.run(`CREATE TRIGGER audit_events_append_only BEFORE UPDATE OR DELETE ON audit_events
+      FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()`);
+  } else {
+    await db.run(`CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`);
+    await db.run(`CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`);
+  }
+}
+
+module.exports = { version: 4, name: 'audit_events', up };
@@ -0,0 +1,14 @@
+// LTI 1.1 consumers, each with its own key and secret (see lib/consumers.js). The secret is
+// stored encrypted; enabled is 1 or 0.
+async function up(db) {
+  await db.run(`CREATE TABLE lti_consumers (
+    consumer_key TEXT PRIMARY KEY,
+    name TEXT,
+    secret_encrypted TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+module.exports = { version: 5, name: 'lti_consumers', up };
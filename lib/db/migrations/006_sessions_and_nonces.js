@@ -0,0 +1,21 @@
+// Login sessions (lib/sessionStore.js) and the OAuth nonces LTI 1.1 launches have used
+// (lib/nonceStore.js), so both survive restarts and are shared by every instance.
+// expires_at is in milliseconds for sessions and seconds for nonces, as their libraries count.
+async function up(db) {
+  await db.run(`CREATE TABLE sessions (
+    sid TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    expires_at BIGINT NOT NULL
+  )`);
+  await db.run(`CREATE INDEX sessions_expires ON sessions (expires_at)`);
+
+  await db.run(`CREATE TABLE oauth_nonces (
+    consumer_key TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    PRIMARY KEY (consumer_key, nonce)
+  )`);
+  await db.run(`CREATE INDEX oauth_nonces_expires ON oauth_nonces (expires_at)`);
+}
+
+module.exports = { version: 6, name: 'sessions_and_nonces', up };
@@ -0,0 +1,7 @@
+// Whether students may upload a recording made with another app instead of recording in the
+// browser; null defers to the launch, as the other rules do.
+async function up(db) {
+  await db.run(`ALTER TABLE assignment_settings ADD COLUMN allow_file_upload INTEGER`);
+}
+
+module.exports = { version: 7, name: 'file_uploads', up };
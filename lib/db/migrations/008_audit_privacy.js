@@ -0,0 +1,36 @@
+// The audit log stays append-only with one exception (see lib/audit.js): an update may clear
+// actor_name, ip and user_agent, and replace actor_id and subject_user_id with an 'erased:'
+// pseudonym. Nothing else may change, and nothing may be deleted.
+
+// That update, written for either database; same(a, b) is a null-safe equality
+function allowedUpdate(same) {
+  const cleared = column => `(${same(`NEW.${column}`, `OLD.${column}`)} OR NEW.${column} IS NULL)`;
+  const renamed = column => `(${same(`NEW.${column}`, `OLD.${column}`)} OR NEW.${column} LIKE 'erased:%')`;
+  const unchanged = ['id', 'occurred_at', 'action', 'actor_roles', 'course_id', 'assignment_id', 'submission_id', 'details']
+    .map(column => same(`NEW.${column}`, `OLD.${column}`));
+  return [
+    ...unchanged,
+    cleared('actor_name'), cleared('ip'), cleared('user_agent'),
+    renamed('actor_id'), renamed('subject_user_id')
+  ].join(' AND ');
+}
+
+async function up(db) {
+  if (db.dialect === 'postgres') {
+    await db.run(`CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        IF TG_OP = 'UPDATE' AND ${allowedUpdate((a, b) => `${a} IS NOT DISTINCT FROM ${b}`)} THEN
+          RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'audit_events is append-only';
+      END
+    $$`);
+  } else {
+    await db.run(`DROP TRIGGER audit_events_no_update`);
+    await db.run(`CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+      WHEN NOT (${allowedUpdate((a, b) => `${a} IS ${b}`)})
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`);
+  }
+}
+
+module.exports = { version: 8, name: 'audit_privacy', up };
@@ -0,0 +1,75 @@
+// LTI 1.3 course and user ids become <platform id>:<id> (see lib/lti13.js). Rows are rewritten
+// where the platform can be told: submissions, grade jobs and upload sessions record it, rows
+// hanging off a submission take its platform, and clips, assignment settings and retention
+// policies take it from the 1.3 submissions of the same user, grader or course. An id seen
+// from more than one platform, or from an LTI 1.1 launch, is left as it is. The audit log
+// stays as it was recorded (erasure matches both ids; see lib/retention.js), and logged-in
+// 1.3 users launch again to pick up the new ids.
+const LTI13 = `lti_version = '1.3.0' AND platform_id IS NOT NULL`;
+
+// id -> platform id, for ids the 1.3 submissions tie to exactly one platform
+async function unambiguous(db, columns) {
+  const rows = await db.all(columns
+    .map(column => `SELECT ${column} AS id, lti_version, platform_id FROM submissions WHERE ${column} IS NOT NULL`)
+    .join(' UNION '));
+  const platforms = new Map();
+  for (const row of rows) {
+    const platform = row.lti_version === '1.3.0' ? row.platform_id : null;
+    platforms.set(row.id, platforms.has(row.id) && platforms.get(row.id) !== platform ? null : platform);
+  }
+  return new Map([...platforms].filter(([, platform]) => platform));
+}
+
+async function rewrite(db, table, column, ids) {
+  for (const [id, platform] of ids) {
+    await db.run(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [`${platform}:${id}`, id]);
+  }
+}
+
+async function up(db) {
+  // Read before the submissions change
+  const users = await unambiguous(db, ['user_id', 'graded_by']);
+  const courses = await unambiguous(db, ['course_id']);
+
+  // A null id stays null: || with NULL is NULL in both databases
+  const ofSubmission = table =>
+    `(SELECT platform_id FROM submissions WHERE submissions.id = ${table}.submission_id) || ':'`;
+  for (const table of ['feedback_clips', 'submission_comments']) {
+    await db.run(
+      `UPDATE ${table} SET course_id = ${ofSubmission(table)} || course_id, author_id = ${ofSubmission(table)} || author_id
+       WHERE submission_id IN (SELECT id FROM submissions WHERE ${LTI13})`
+    );
+  }
+  await db.run(
+    `UPDATE grade_jobs SET user_id = platform_id || ':' || user_id, course_id = platform_id || ':' || course_id
+     WHERE ${LTI13}`
+  );
+  await db.run(
+    `UPDATE submissions SET user_id = platform_id || ':' || user_id, course_id = platform_id || ':' || course_id,
+       graded_by = platform_id || ':' || graded_by
+     WHERE ${LTI13}`
+  );
+
+  // Each keeps the launch it was opened with, which finalizing stores with the submission
+  const sessions = await db.all(`SELECT id, lti FROM upload_sessions`);
+  for (const session of sessions) {
+    const lti = JSON.parse(session.lti);
+    if (lti.ltiVersion !== '1.3.0' || !lti.platformId) continue;
+    const scope = id => (id ? `${lti.platformId}:${id}` : id);
+    lti.userId = scope(lti.userId);
+    lti.courseId = scope(lti.courseId);
+    await db.run(
+      `UPDATE upload_sessions SET user_id = ?, course_id = ?, lti = ? WHERE id = ?`,
+      [lti.userId, lti.courseId, JSON.stringify(lti), session.id]
+    );
+  }
+
+  await rewrite(db, 'clips', 'user_id', users);
+  await rewrite(db, 'clips', 'course_id', courses);
+  await rewrite(db, 'assignment_settings', 'course_id', courses);
+  await rewrite(db, 'retention_policies', 'course_id', courses);
+
+  await db.run(`DELETE FROM sessions WHERE data LIKE '%"ltiVersion":"1.3.0"%'`);
+}
+
+module.exports = { version: 9, name: 'scoped_lti13_ids', up };
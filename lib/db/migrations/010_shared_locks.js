@@ -0,0 +1,12 @@
+// Locks every instance sharing the database respects: appending_since marks an upload session
+// with a chunk being written (milliseconds), and a submission_locks row is held while a
+// student's recording for an assignment is being submitted.
+async function up(db) {
+  await db.run(`ALTER TABLE upload_sessions ADD COLUMN appending_since BIGINT`);
+  await db.run(`CREATE TABLE submission_locks (
+    lock_key TEXT PRIMARY KEY,
+    locked_at BIGINT NOT NULL
+  )`);
+}
+
+module.exports = { version: 10, name: 'shared_locks', up };
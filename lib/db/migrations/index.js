@@ -0,0 +1,13 @@
+// Schema changes in the order they are applied. Never change one that has been released;
+// add the next version instead.
+module.exports = [
+  require('./001_initial_schema'),
+  require('./003_retention_policies'),
+  require('./004_audit_events'),
+  require('./005_lti_consumers'),
+  require('./006_sessions_and_nonces'),
+  require('./007_file_uploads'),
+  require('./008_audit_privacy'),
+  require('./009_scoped_lti13_ids'),
+  require('./010_shared_locks')
+];
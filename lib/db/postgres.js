@@ -0,0 +1,100 @@
+const { Pool, types } = require('pg');
+
+// Hand values back the way SQLite does, so queries behave the same on either database:
+// counts as numbers, and timestamps as the UTC 'YYYY-MM-DD HH:MM:SS' text CURRENT_TIMESTAMP
+// gives there
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+types.setTypeParser(types.builtins.TIMESTAMP, value => value.slice(0, 19));
+
+// Arbitrary key for the advisory lock instances hold while migrating
+const MIGRATION_LOCK_ID = 724151;
+
+// Queries are written with SQLite's ? placeholders; PostgreSQL numbers them. ? inside a
+// quoted string is left alone.
+function numberPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++index}` : match));
+}
+
+// Wrap a pool or a checked-out client in the same interface as the SQLite connection
+function wrap(client) {
+  const query = (sql, params = []) => client.query(numberPlaceholders(sql), params);
+  return {
+    dialect: 'postgres',
+
+    async get(sql, params) {
+      return (await query(sql, params)).rows[0];
+    },
+
+    async all(sql, params) {
+      return (await query(sql, params)).rows;
+    },
+
+    async run(sql, params) {
+      return { changes: (await query(sql, params)).rowCount };
+    }
+  };
+}
+
+async function inTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    const result = await work(wrap(client));
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+// A connection pool; several instances of the tool can share the database
+function connect(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    max: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 10
+  });
+  // Store timestamps in UTC, as SQLite does
+  pool.on('connect', client => client.query(`SET TIME ZONE 'UTC'`));
+  pool.on('error', err => console.error('PostgreSQL connection error:', err.message));
+
+  async function withClient(work) {
+    const client = await pool.connect();
+    try {
+      return await work(client);
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    ...wrap(pool),
+
+    transaction(work) {
+      return withClient(client => inTransaction(client, work));
+    },
+
+    // Run work on one connection holding the migration lock, so instances starting together
+    // migrate one after the other
+    exclusive(work) {
+      return withClient(async client => {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+          return await work({
+            ...wrap(client),
+            transaction: transactionWork => inTransaction(client, transactionWork)
+          });
+        } finally {
+          await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+      });
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = { connect };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// A single SQLite file. Writers take turns on one file, so this suits a single instance of
+// the tool (plus the admin CLI); use PostgreSQL to run several.
+function connect(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const db = new sqlite3.Database(filename);
+  // The admin CLI and the server share the file; wait for the other's write instead of failing
+  db.configure('busyTimeout', 5000);
+
+  const connection = {
+    dialect: 'sqlite',
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      });
+    },
+
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) {
+            return reject(err);
+          }
+          resolve({ changes: this.changes });
+        });
+      });
+    },
+
+    // Statements share the one connection, so only use this while nothing else is querying
+    // (migrations run before the app's first query). IMMEDIATE takes the write lock up front,
+    // which keeps two processes migrating the same file from interleaving.
+    async transaction(work) {
+      await connection.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work(connection);
+        await connection.run('COMMIT');
+        return result;
+      } catch (err) {
+        await connection.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    },
+
+    // The file lock taken by each transaction is all the exclusion SQLite needs
+    exclusive(work) {
+      return work(connection);
+    },
+
+    close() {
+      return new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+    }
+  };
+  return connection;
+}
+
+module.exports = { connect };
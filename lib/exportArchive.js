@@ -0,0 +1,177 @@
+const path = require('path');
+const archiver = require('archiver');
+const { storage } = require('./storage');
+const submissions = require('./repositories/submissions');
+const { toCsv } = require('./csv');
+
+// Recordings exported as one ZIP, streamed to the response as it is built, so an export
+// never has to fit on disk or in memory. Recordings are already compressed, so entries are
+// stored rather than deflated.
+//
+// An assignment:
+//
+//   recordings/<student> (<user id>) - <submitted at>.<ext>
+//   manifest.csv, manifest.json   one row per submission
+//
+// Everything about one user (see lib/retention.js):
+//
+//   data.json      every row stored about them
+//   files/<key>    each stored recording, under the storage key data.json gives it
+const MANIFEST_FIELDS = [
+  'file', 'submission_id', 'user_id', 'user_name', 'submitted_at', 'file_size', 'duration',
+  'original_duration', 'score', 'points_possible', 'grader_comment', 'graded_by', 'graded_at', 'missing'
+];
+
+// Keep names readable but safe on every filesystem and unzip tool
+function safeName(value, fallback) {
+  const name = String(value || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/\s+/g, ' ').trim();
+  return name.slice(0, 80) || fallback;
+}
+
+// Stored timestamps are UTC 'YYYY-MM-DD HH:MM:SS'
+function isoTime(timestamp) {
+  return timestamp ? `${String(timestamp).replace(' ', 'T')}Z` : null;
+}
+
+function fileName(row, taken) {
+  const stamp = String(row.created_at || '').replace(/:/g, '-');
+  const base = `recordings/${safeName(row.user_name, 'Unknown student')} (${safeName(row.user_id, 'unknown')}) - ${stamp}`;
+  const extension = path.extname(row.file_name || '');
+  let name = `${base}${extension}`;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${base} (${n})${extension}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+// A ZIP piped to output. The reader may cancel the download part way; when output closes
+// early the archive is aborted and stops reading from storage.
+function createZip(output) {
+  const zip = { archive: archiver('zip', { store: true }), closed: false, finished: false, current: null };
+  zip.archive.on('error', err => output.destroy(err));
+  zip.cancelled = new Promise(resolve => output.once('close', () => {
+    if (!zip.finished) {
+      zip.closed = true;
+      zip.archive.abort();
+      if (zip.current) zip.current.destroy();
+    }
+    resolve();
+  }));
+  zip.archive.pipe(output);
+  return zip;
+}
+
+// Resolves once the archive has taken the entry, or rejects with the archive's error
+function appended(archive) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = err => {
+      archive.off('entry', onEntry);
+      reject(err);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+  });
+}
+
+// Add a stored object and wait for it to be written, so only one is open at a time
+async function appendStream(zip, stream, entry) {
+  zip.current = stream;
+  zip.archive.append(stream, entry);
+  await Promise.race([appended(zip.archive), zip.cancelled]);
+}
+
+async function finish(zip) {
+  await zip.archive.finalize();
+  zip.finished = true;
+}
+
+// Stream the export of one assignment to res. variant is 'playback' (what graders hear) or
+// 'original' (the files as uploaded). A recording missing from storage is listed in the
+// manifest with missing=yes rather than failing the whole export.
+async function write(res, { courseId, assignmentId, pointsPossible, variant }) {
+  const rows = await submissions.listForExport(courseId, assignmentId, variant);
+  res.attachment(`${safeName(`${courseId}-${assignmentId}`, 'assignment')}-recordings.zip`);
+  const zip = createZip(res);
+
+  const manifest = [];
+  const taken = new Set();
+  for (const row of rows) {
+    if (zip.closed) return;
+
+    const entry = {
+      file: null,
+      submission_id: row.id,
+      user_id: row.user_id,
+      user_name: row.user_name,
+      submitted_at: isoTime(row.created_at),
+      file_size: row.file_size,
+      duration: row.duration,
+      original_duration: row.original_duration,
+      score: row.score,
+      points_possible: pointsPossible || null,
+      grader_comment: row.grader_comment,
+      graded_by: row.graded_by,
+      graded_at: isoTime(row.graded_at),
+      missing: null
+    };
+    manifest.push(entry);
+
+    let stream;
+    try {
+      stream = row.storage_key ? await storage.open(row.storage_key) : null;
+    } catch (err) {
+      console.error(`Export: ${row.storage_key} could not be read:`, err.message);
+    }
+    if (!stream) {
+      entry.missing = 'yes';
+      continue;
+    }
+
+    entry.file = fileName(row, taken);
+    await appendStream(zip, stream, { name: entry.file, date: new Date(entry.submitted_at || Date.now()) });
+  }
+  if (zip.closed) return;
+
+  zip.archive.append(toCsv(MANIFEST_FIELDS, manifest), { name: 'manifest.csv' });
+  zip.archive.append(JSON.stringify({
+    course_id: courseId,
+    assignment_id: assignmentId,
+    variant,
+    exported_at: new Date().toISOString(),
+    submissions: manifest
+  }, null, 2), { name: 'manifest.json' });
+  await finish(zip);
+}
+
+// Stream everything stored about a user to output: data is retention.userData(), keys the
+// stored objects it refers to. Objects missing from storage are listed in data.json.
+async function writeUser(output, data, keys) {
+  const zip = createZip(output);
+  const missing = [];
+  for (const key of keys) {
+    if (zip.closed) return;
+    let stream;
+    try {
+      stream = await storage.open(key);
+    } catch (err) {
+      missing.push(key);
+      continue;
+    }
+    await appendStream(zip, stream, { name: `files/${key}` });
+  }
+  if (zip.closed) return;
+
+  zip.archive.append(JSON.stringify({
+    exported_at: new Date().toISOString(),
+    missing_files: missing,
+    ...data
+  }, null, 2), { name: 'data.json' });
+  await finish(zip);
+}
+
+module.exports = { write, writeUser };
@@ -0,0 +1,301 @@
+const { v4: uuidv4 } = require('uuid');
+const { OutcomeService } = require('ims-lti');
+const { ready, dialect, get, all, run, secondsAgo } = require('./db');
+const lti13 = require('./lti13');
+const consumers = require('./consumers');
+const audit = require('./audit');
+const metrics = require('./metrics');
+
+// Grades are sent to Canvas through an outbox: saving a grade stores a job, and a worker
+// sends it, retrying with exponential backoff until Canvas accepts it or the attempts run
+// out. Jobs live in SQLite, so a restart or an outage on Canvas's side loses nothing.
+//
+//   pending     waiting for its next attempt (next_attempt_at)
+//   sending     being sent now
+//   sent        accepted by Canvas
+//   failed      gave up after MAX_ATTEMPTS; an instructor or admin can retry it
+//   superseded  replaced by a newer grade for the same submission before it was sent
+const MAX_ATTEMPTS = parseInt(process.env.GRADE_PASSBACK_MAX_ATTEMPTS, 10) || 8;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// 30s, 1m, 2m, 4m ... capped at 6h
+function backoff(attempts) {
+  return Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+}
+
+function canPassBack(submission) {
+  return submission.lti_version === '1.3.0'
+    ? Boolean(submission.line_item_url)
+    : Boolean(submission.lis_result_sourcedid && submission.lis_outcome_service_url);
+}
+
+// Store a grade for sending. An unsent grade for the same submission is superseded, since
+// Canvas keeps only the latest. Resolves to the job, or null if the submission's launch
+// gave no way to pass grades back.
+async function enqueue(submission, score, maxScore, comment) {
+  if (!canPassBack(submission)) return null;
+
+  await run(
+    `UPDATE grade_jobs SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+     WHERE submission_id = ? AND status IN ('pending', 'failed')`,
+    [submission.id]
+  );
+
+  const id = uuidv4();
+  await run(
+    `INSERT INTO grade_jobs (id, submission_id, course_id, assignment_id, user_id, lti_version, consumer_key,
+       lis_result_sourcedid, lis_outcome_service_url, outcome_data_types, platform_id, line_item_url,
+       score, max_score, comment, status, attempts, next_attempt_at, queued_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+    [id, submission.id, submission.course_id, submission.assignment_id, submission.user_id,
+      submission.lti_version, submission.consumer_key, submission.lis_result_sourcedid,
+      submission.lis_outcome_service_url, submission.outcome_data_types, submission.platform_id,
+      submission.line_item_url, score, maxScore, comment || null, Date.now(), Date.now()]
+  );
+  wake();
+  return get(`SELECT * FROM grade_jobs WHERE id = ?`, [id]);
+}
+
+// LTI 1.1 Basic Outcomes; the grade is a fraction between 0 and 1. The request is signed with
+// the secret of the consumer the student launched from.
+async function sendOutcome(job) {
+  const consumer = await consumers.resolve(job.consumer_key);
+  if (!consumer) {
+    throw new Error(`LTI consumer ${job.consumer_key} is not registered or is disabled`);
+  }
+  return new Promise((resolve, reject) => {
+    const outcomeService = new OutcomeService({
+      consumer_key: consumer.key,
+      consumer_secret: consumer.secret,
+      service_url: job.lis_outcome_service_url,
+      source_did: job.lis_result_sourcedid,
+      result_data_types: job.outcome_data_types ? job.outcome_data_types.split(',') : []
+    });
+    const grade = job.score / job.max_score;
+    const done = err => (err ? reject(err) : resolve());
+
+    // Canvas only accepts a text comment when the launch advertised support for it
+    if (job.comment && outcomeService.supports_result_data('text')) {
+      outcomeService.send_replace_result_with_text(grade, job.comment, done);
+    } else {
+      outcomeService.send_replace_result(grade, done);
+    }
+  });
+}
+
+function send(job) {
+  const sending = job.lti_version === '1.3.0'
+    ? lti13.sendScore(
+      { platformId: job.platform_id, lineItemUrl: job.line_item_url, userId: job.user_id },
+      job.score, job.max_score, job.comment)
+    : sendOutcome(job);
+
+  // The outcome client sets no timeout of its own; a hung request must not stall the outbox
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out waiting for the grade service')), REQUEST_TIMEOUT_MS);
+  });
+  return Promise.race([sending, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function processNext() {
+  const job = await get(
+    `SELECT * FROM grade_jobs WHERE status = 'pending' AND next_attempt_at <= ?
+     ORDER BY next_attempt_at LIMIT 1`,
+    [Date.now()]
+  );
+  if (!job) return false;
+
+  // Claim it; another instance sharing the database may have got there first
+  const attempts = job.attempts + 1;
+  const { changes } = await run(
+    `UPDATE grade_jobs SET status = 'sending', attempts = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [attempts, job.id]
+  );
+  if (!changes) return true;
+
+  try {
+    await send(job);
+    await run(
+      `UPDATE grade_jobs SET status = 'sent', last_error = NULL, sent_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [job.id]
+    );
+    console.log(`Grade for submission ${job.submission_id} sent to Canvas`);
+    metrics.gradePassbacks.inc({ outcome: 'sent' });
+    await auditAttempt(job, attempts, 'sent');
+  } catch (err) {
+    const message = err.message || String(err);
+    const gaveUp = attempts >= MAX_ATTEMPTS;
+    console.error(`Sending grade for submission ${job.submission_id} failed (attempt ${attempts}):`, message);
+    await run(
+      `UPDATE grade_jobs SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [gaveUp ? 'failed' : 'pending', message, gaveUp ? null : Date.now() + backoff(attempts), job.id]
+    );
+    metrics.gradePassbacks.inc({ outcome: gaveUp ? 'failed' : 'retry' });
+    metrics.failed('passback');
+    await auditAttempt(job, attempts, gaveUp ? 'failed' : 'will retry', message);
+  }
+  return true;
+}
+
+function auditAttempt(job, attempt, outcome, error) {
+  return audit.append({
+    action: 'grade.passback',
+    courseId: job.course_id,
+    assignmentId: job.assignment_id,
+    submissionId: job.submission_id,
+    subjectUserId: job.user_id,
+    details: { jobId: job.id, outcome, attempt, score: job.score, maxScore: job.max_score, error }
+  });
+}
+
+// One job at a time, in order of when each is due. Only the server runs the worker; the
+// admin CLI changes jobs and leaves the sending to it.
+let started = false;
+let working = null;
+
+function wake() {
+  if (started && !working) {
+    working = (async () => {
+      try {
+        while (await processNext());
+      } catch (err) {
+        console.error('Grade passback worker error:', err);
+      } finally {
+        working = null;
+      }
+    })();
+  }
+  return working;
+}
+
+// A job left 'sending' belonged to a process that stopped mid-send; send it again. With
+// SQLite this server is the only sender, so that is anything in flight when it starts. On a
+// shared PostgreSQL database another instance may still be sending, so only jobs stuck for
+// longer than a request can take count.
+function requeueStalled(startup) {
+  const stalled = startup && dialect === 'sqlite' ? '' : ' AND updated_at < ?';
+  return run(
+    `UPDATE grade_jobs SET status = 'pending', next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'sending'${stalled}`,
+    stalled ? [Date.now(), secondsAgo(2 * REQUEST_TIMEOUT_MS / 1000)] : [Date.now()]
+  );
+}
+
+async function start() {
+  await ready;
+  await requeueStalled(true);
+  started = true;
+  wake();
+  setInterval(() => {
+    requeueStalled(false).then(wake, err => console.error('Grade passback worker error:', err));
+  }, POLL_INTERVAL_MS).unref();
+}
+
+// Send a failed job again with a fresh set of attempts. courseId, when given, limits it to one course.
+async function retry(jobId, courseId) {
+  const { changes } = await run(
+    `UPDATE grade_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'failed'${courseId ? ' AND course_id = ?' : ''}`,
+    courseId ? [Date.now(), jobId, courseId] : [Date.now(), jobId]
+  );
+  if (changes) wake();
+  return changes > 0;
+}
+
+async function retryFailed() {
+  const { changes } = await run(
+    `UPDATE grade_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'failed'`,
+    [Date.now()]
+  );
+  if (changes) wake();
+  return changes;
+}
+
+// How many jobs are in each status, as { status: count }
+async function countByStatus() {
+  const rows = await all(`SELECT status, COUNT(*) AS count FROM grade_jobs GROUP BY status`);
+  return Object.fromEntries(rows.map(row => [row.status, Number(row.count)]));
+}
+
+// Jobs, newest first, optionally narrowed by { status, courseId, assignmentId }
+function list(filter = {}) {
+  const conditions = [];
+  const params = [];
+  if (filter.status) {
+    conditions.push('status = ?');
+    params.push(filter.status);
+  }
+  if (filter.courseId) {
+    conditions.push('course_id = ?');
+    params.push(filter.courseId);
+  }
+  if (filter.assignmentId) {
+    conditions.push('assignment_id = ?');
+    params.push(filter.assignmentId);
+  }
+  return all(
+    `SELECT id, submission_id, course_id, assignment_id, user_id, score, max_score, status, attempts,
+       next_attempt_at, last_error, created_at, updated_at, sent_at
+     FROM grade_jobs ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+     ORDER BY queued_at DESC`,
+    params
+  );
+}
+
+// Columns for the latest job of each submission, for a query on submissions s
+const LATEST_JOB_JOIN = `LEFT JOIN grade_jobs g ON g.id = (
+    SELECT id FROM grade_jobs WHERE submission_id = s.id ORDER BY queued_at DESC LIMIT 1)`;
+const JOB_COLUMNS = `g.id AS passback_id, g.status AS passback_status, g.attempts AS passback_attempts,
+  g.next_attempt_at AS passback_next_attempt_at, g.last_error AS passback_error, g.sent_at AS passback_sent_at`;
+
+// A job as the grading page shows it
+function toStatus(job) {
+  return {
+    id: job.id,
+    submissionId: job.submission_id,
+    status: job.status,
+    attempts: job.attempts,
+    nextAttemptAt: job.next_attempt_at ? new Date(job.next_attempt_at).toISOString() : null,
+    error: job.last_error,
+    sentAt: job.sent_at
+  };
+}
+
+// Replace the joined passback_* columns of a row with its latest job, null if it was never queued
+function withJob(row) {
+  const { passback_id, passback_status, passback_attempts, passback_next_attempt_at, passback_error,
+    passback_sent_at, ...submission } = row;
+  submission.passback = passback_id ? toStatus({
+    id: passback_id,
+    submission_id: row.id,
+    status: passback_status,
+    attempts: passback_attempts,
+    next_attempt_at: passback_next_attempt_at,
+    last_error: passback_error,
+    sent_at: passback_sent_at
+  }) : null;
+  return submission;
+}
+
+module.exports = {
+  LATEST_JOB_JOIN,
+  JOB_COLUMNS,
+  MAX_ATTEMPTS,
+  canPassBack,
+  enqueue,
+  start,
+  retry,
+  retryFailed,
+  countByStatus,
+  list,
+  toStatus,
+  withJob
+};
@@ -0,0 +1,62 @@
+const db = require('./db');
+const { storage } = require('./storage');
+const consumers = require('./consumers');
+const redis = require('./redis');
+
+// Readiness checks for /health. Each resolves, or rejects saying what is wrong. One that
+// takes longer than CHECK_TIMEOUT_MS fails, so an unreachable bucket cannot hang the probe.
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000;
+
+// Settings the tool cannot work without. LTI 1.1 launches need LTI_SECRET or a registered
+// consumer, whose secrets can only be read with CONSUMER_SECRET_KEY.
+async function checkConfig() {
+  const problems = [];
+  const registered = await consumers.countEnabled();
+  if (!process.env.LTI_SECRET && !registered) {
+    problems.push('LTI_SECRET is not set and no LTI consumer is registered');
+  }
+  if (registered && !process.env.CONSUMER_SECRET_KEY) {
+    problems.push('CONSUMER_SECRET_KEY is not set');
+  }
+  if (process.env.NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
+    problems.push('SESSION_SECRET is not set');
+  }
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
+}
+
+const CHECKS = {
+  database: () => db.check(),
+  storage: () => storage.check(),
+  config: checkConfig
+};
+// Sessions and nonces live there when it is configured
+if (redis.enabled()) {
+  CHECKS.redis = () => redis.getClient().ping();
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run every check at once. Resolves to { ok, checks: { name: { ok, ms, error } } }.
+async function readiness() {
+  const results = await Promise.all(Object.entries(CHECKS).map(async ([name, check]) => {
+    const started = Date.now();
+    try {
+      await withTimeout(check());
+      return [name, { ok: true, ms: Date.now() - started }];
+    } catch (err) {
+      return [name, { ok: false, ms: Date.now() - started, error: err.message }];
+    }
+  }));
+  const checks = Object.fromEntries(results);
+  return { ok: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = { readiness };
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Message catalogs for the recorder, one JSON file per language in locales/. Canvas sends the
+// user's language as launch_presentation_locale; a tag with no catalog of its own falls back
+// to its language (es-MX to es), then to English. A catalog only needs the messages it
+// translates, since English fills in the rest.
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {};
+for (const file of fs.readdirSync(LOCALES_DIR)) {
+  if (path.extname(file) === '.json') {
+    catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  }
+}
+
+// English first, so a browser that states no preference gets it
+function available() {
+  return [DEFAULT_LOCALE, ...Object.keys(catalogs).filter(locale => locale !== DEFAULT_LOCALE)];
+}
+
+// The catalog to use for a requested tag such as en-US or pt_BR
+function resolveLocale(requested) {
+  if (typeof requested !== 'string' || !requested) return DEFAULT_LOCALE;
+  const tag = requested.replace(/_/g, '-').toLowerCase();
+  const exact = available().find(locale => locale.toLowerCase() === tag);
+  if (exact) return exact;
+  const language = tag.split('-')[0];
+  return available().find(locale => locale.toLowerCase() === language) || DEFAULT_LOCALE;
+}
+
+function messagesFor(locale) {
+  return { ...catalogs[DEFAULT_LOCALE], ...catalogs[resolveLocale(locale)] };
+}
+
+module.exports = { DEFAULT_LOCALE, available, resolveLocale, messagesFor };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const audio = require('./audio');
+const { storage } = require('./storage');
+const metrics = require('./metrics');
+
+async function storeFile(localPath, key, contentType) {
+  try {
+    await storage.put(localPath, key, contentType);
+  } catch (err) {
+    // Counted here, for every kind of upload; stage tells callers it has been
+    metrics.failed('storage');
+    err.stage = 'storage';
+    throw err;
+  }
+  return { storageKey: key, fileName: path.basename(key) };
+}
+
+// Why a file that had to be decoded was not: ffmpeg or ffprobe is missing, or it failed on the file
+function notDecoded(err) {
+  if (err.code === 'ENOENT') {
+    return new audio.DecoderUnavailableError('Audio files cannot be checked right now. Please try again later.');
+  }
+  console.error('Decoding an uploaded file failed:', err);
+  return new audio.AudioFormatError('The uploaded file could not be decoded');
+}
+
+// Probe an uploaded file, refuse it if it is empty, not audio or silent, and store the
+// original and a transcoded playback copy. What the file is comes from its contents; the
+// MIME type the browser sent with it is never trusted.
+// Resolves to { original, playback, duration }, each file described by
+// { storageKey, fileName, fileSize, mimeType, container, codec, duration }.
+// options.validate(duration) runs before anything is stored and may throw to refuse
+// the upload; duration is null when it cannot be measured. With options.requireDecode, a
+// file that could not be probed, level-checked and transcoded is refused rather than stored
+// unchecked.
+// The uploaded file itself is left for the caller to remove.
+async function ingestAudio(file, id, folder, options = {}) {
+  const validate = options.validate || (() => {});
+  const tempFiles = [];
+
+  if (!file.size) {
+    throw new audio.AudioFormatError('The recording is empty');
+  }
+  const container = await audio.identify(file.path);
+  if (!container) {
+    throw new audio.AudioFormatError('The uploaded file is not in a supported audio format');
+  }
+
+  try {
+    let info;
+    try {
+      info = await audio.probe(file.path);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      if (options.requireDecode) {
+        throw notDecoded(err);
+      }
+      // Without ffprobe we cannot inspect the file, so keep it exactly as uploaded
+      console.warn('ffprobe not found; storing upload without normalization');
+      await validate(null);
+      const stored = await storeFile(file.path, `${folder}/audio-${id}.${container.extension}`, container.mimeType);
+      const original = {
+        ...stored, fileSize: file.size, mimeType: container.mimeType, container: null, codec: null, duration: null
+      };
+      return { original, playback: original, duration: null };
+    }
+
+    try {
+      await audio.checkAudible(file.path);
+    } catch (err) {
+      if (err instanceof audio.AudioFormatError) {
+        throw err;
+      }
+      if (options.requireDecode) {
+        throw notDecoded(err);
+      }
+      // Not being able to measure the level is no reason to lose the recording
+      console.error(`Measuring the level of ${id} failed:`, err);
+    }
+
+    let playbackPath = null;
+    let playbackInfo = null;
+    try {
+      playbackPath = await audio.transcode(file.path);
+      tempFiles.push(playbackPath);
+      playbackInfo = await audio.probe(playbackPath);
+    } catch (err) {
+      // A file ffmpeg hung on is refused like any other unreadable one
+      if (err instanceof audio.AudioFormatError) {
+        throw err;
+      }
+      if (options.requireDecode) {
+        throw notDecoded(err);
+      }
+      // The original still plays in most browsers, so a failed transcode is not fatal
+      console.error(`Transcoding ${id} failed; serving the original:`, err);
+      metrics.failed('transcode');
+      playbackPath = null;
+    }
+
+    // MediaRecorder WebM carries no duration, but the transcoded file always does
+    const exactDuration = info.duration || (playbackInfo ? playbackInfo.duration : null);
+    const duration = exactDuration === null ? null : Math.round(exactDuration);
+    await validate(duration);
+
+    const original = {
+      ...(await storeFile(file.path, `${folder}/audio-${id}-original.${info.extension}`, info.mimeType)),
+      ...info,
+      fileSize: file.size
+    };
+
+    const playback = playbackPath ? {
+      ...(await storeFile(playbackPath, `${folder}/audio-${id}.${playbackInfo.extension}`, playbackInfo.mimeType)),
+      ...playbackInfo,
+      fileSize: (await fs.promises.stat(playbackPath)).size
+    } : original;
+
+    return { original, playback, duration };
+  } finally {
+    tempFiles.forEach(tempFile => fs.promises.unlink(tempFile).catch(() => {}));
+  }
+}
+
+module.exports = { ingestAudio };
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { get, all, run, secondsAgo } = require('./db');
+const assignmentRules = require('./assignmentRules');
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const AGS_ENDPOINT_CLAIM = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+const AGS_SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+
+const LOGIN_TTL_SECONDS = 10 * 60;
+const KEY_ROTATION_DAYS = parseInt(process.env.LTI13_KEY_ROTATION_DAYS, 10) || 90;
+// Platforms cache our JWKS, so a retired key stays published for a while after rotation
+const RETIRED_KEY_GRACE_DAYS = 7;
+const PLATFORM_JWKS_CACHE_MS = 60 * 60 * 1000;
+
+const SUPPORTED_MESSAGE_TYPES = ['LtiResourceLinkRequest', 'LtiDeepLinkingRequest'];
+
+// Raised for any launch that fails validation; the message is safe to show the user
+class LaunchError extends Error {}
+
+// ----- Platform registration -----
+
+async function registerPlatform(platform) {
+  const id = uuidv4();
+  await run(
+    `INSERT INTO lti13_platforms (id, name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, jwks_url)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, platform.name || platform.issuer, platform.issuer, platform.clientId,
+      (platform.deploymentIds || []).join(','), platform.authLoginUrl, platform.authTokenUrl, platform.jwksUrl]
+  );
+  return id;
+}
+
+function listPlatforms() {
+  return all(`SELECT * FROM lti13_platforms ORDER BY created_at`);
+}
+
+function removePlatform(id) {
+  return run(`DELETE FROM lti13_platforms WHERE id = ?`, [id]);
+}
+
+// client_id is optional in the login request; without it the issuer must be unambiguous
+async function findPlatform(issuer, clientId) {
+  if (clientId) {
+    return get(`SELECT * FROM lti13_platforms WHERE issuer = ? AND client_id = ?`, [issuer, clientId]);
+  }
+  const platforms = await all(`SELECT * FROM lti13_platforms WHERE issuer = ?`, [issuer]);
+  return platforms.length === 1 ? platforms[0] : undefined;
+}
+
+// ----- Tool signing keys -----
+
+async function generateKey() {
+  const kid = uuidv4();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+  await run(
+    `INSERT INTO lti13_keys (kid, private_key, public_jwk) VALUES (?, ?, ?)`,
+    [kid, privateKey.export({ type: 'pkcs8', format: 'pem' }), JSON.stringify(publicJwk)]
+  );
+  return get(`SELECT * FROM lti13_keys WHERE kid = ?`, [kid]);
+}
+
+async function currentKey() {
+  const key = await get(`SELECT * FROM lti13_keys WHERE retired_at IS NULL ORDER BY created_at DESC LIMIT 1`);
+  return key || generateKey();
+}
+
+// Issue a new signing key, retire the old ones and drop those past the grace period
+async function rotateKeys() {
+  const key = await generateKey();
+  await run(`UPDATE lti13_keys SET retired_at = CURRENT_TIMESTAMP WHERE retired_at IS NULL AND kid != ?`, [key.kid]);
+  await run(
+    `DELETE FROM lti13_keys WHERE retired_at IS NOT NULL AND retired_at < ?`,
+    [secondsAgo(RETIRED_KEY_GRACE_DAYS * 24 * 60 * 60)]
+  );
+  console.log(`LTI 1.3 signing key rotated, new kid: ${key.kid}`);
+  return key;
+}
+
+async function rotateKeysIfDue() {
+  const key = await get(
+    `SELECT kid FROM lti13_keys WHERE retired_at IS NULL AND created_at > ?`,
+    [secondsAgo(KEY_ROTATION_DAYS * 24 * 60 * 60)]
+  );
+  if (!key) {
+    await rotateKeys();
+  }
+}
+
+async function getJwks() {
+  const keys = await all(
+    `SELECT public_jwk FROM lti13_keys WHERE retired_at IS NULL OR retired_at > ?
+     ORDER BY created_at DESC`,
+    [secondsAgo(RETIRED_KEY_GRACE_DAYS * 24 * 60 * 60)]
+  );
+  return { keys: keys.map(k => JSON.parse(k.public_jwk)) };
+}
+
+async function signToolJwt(payload, options = {}) {
+  const key = await currentKey();
+  return jwt.sign(payload, key.private_key, { ...options, algorithm: 'RS256', keyid: key.kid });
+}
+
+// ----- Platform public keys -----
+
+const platformJwksCache = new Map();
+
+async function fetchPlatformJwks(jwksUrl) {
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new LaunchError(`Unable to fetch platform keys (HTTP ${response.status})`);
+  }
+  const jwks = await response.json();
+  platformJwksCache.set(jwksUrl, { keys: jwks.keys || [], fetchedAt: Date.now() });
+  return jwks.keys || [];
+}
+
+async function platformPublicKey(platform, kid) {
+  const cached = platformJwksCache.get(platform.jwks_url);
+  let keys = cached && Date.now() - cached.fetchedAt < PLATFORM_JWKS_CACHE_MS ? cached.keys : null;
+  let jwk = keys && keys.find(k => k.kid === kid);
+
+  // An unknown kid usually means the platform rotated its keys since we cached them
+  if (!jwk) {
+    keys = await fetchPlatformJwks(platform.jwks_url);
+    jwk = keys.find(k => k.kid === kid);
+  }
+  if (!jwk) {
+    throw new LaunchError('id_token was signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// ----- OIDC login initiation -----
+
+// Returns { url, state }: the platform authorization URL to redirect the browser to, and the
+// state the launch must come back with
+async function startLogin(params, redirectUri) {
+  if (!params.iss || !params.login_hint || !params.target_link_uri) {
+    throw new LaunchError('Login request is missing iss, login_hint or target_link_uri');
+  }
+
+  const platform = await findPlatform(params.iss, params.client_id);
+  if (!platform) {
+    throw new LaunchError(`Platform ${params.iss} is not registered`);
+  }
+  if (params.lti_deployment_id && !isKnownDeployment(platform, params.lti_deployment_id)) {
+    throw new LaunchError(`Deployment ${params.lti_deployment_id} is not registered`);
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  const nonce = crypto.randomBytes(24).toString('hex');
+  await run(`INSERT INTO lti13_logins (state, nonce, platform_id) VALUES (?, ?, ?)`, [state, nonce, platform.id]);
+  await run(`DELETE FROM lti13_logins WHERE created_at < ?`, [secondsAgo(LOGIN_TTL_SECONDS)]);
+
+  const authUrl = new URL(platform.auth_login_url);
+  const query = {
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.client_id,
+    redirect_uri: redirectUri,
+    login_hint: params.login_hint,
+    lti_message_hint: params.lti_message_hint,
+    state,
+    nonce
+  };
+  Object.keys(query).forEach(name => {
+    if (query[name] !== undefined) {
+      authUrl.searchParams.set(name, query[name]);
+    }
+  });
+  return { url: authUrl.toString(), state };
+}
+
+function isKnownDeployment(platform, deploymentId) {
+  const deploymentIds = (platform.deployment_ids || '').split(',').filter(Boolean);
+  return deploymentIds.length === 0 || deploymentIds.includes(deploymentId);
+}
+
+// ----- id_token launch -----
+
+// Verifies the id_token against the login it answers; returns { claims, platform }
+async function validateLaunch(idToken, state) {
+  if (!idToken || !state) {
+    throw new LaunchError('Launch is missing id_token or state');
+  }
+
+  // Each state can complete exactly one login, and only while it is fresh
+  const login = await get(
+    `SELECT * FROM lti13_logins WHERE state = ? AND created_at > ?`,
+    [state, secondsAgo(LOGIN_TTL_SECONDS)]
+  );
+  await run(`DELETE FROM lti13_logins WHERE state = ?`, [state]);
+  if (!login) {
+    throw new LaunchError('Unknown or expired login state');
+  }
+
+  const platform = await get(`SELECT * FROM lti13_platforms WHERE id = ?`, [login.platform_id]);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!platform || !decoded || !decoded.header.kid) {
+    throw new LaunchError('Malformed id_token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, await platformPublicKey(platform, decoded.header.kid), {
+      algorithms: ['RS256'],
+      issuer: platform.issuer,
+      audience: platform.client_id,
+      nonce: login.nonce,
+      clockTolerance: 5
+    });
+  } catch (err) {
+    throw err instanceof LaunchError ? err : new LaunchError(`Invalid id_token: ${err.message}`);
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== platform.client_id) {
+    throw new LaunchError('id_token azp does not match our client_id');
+  }
+  if (claims[LTI_CLAIM + 'version'] !== '1.3.0') {
+    throw new LaunchError('Unsupported LTI version');
+  }
+  if (!SUPPORTED_MESSAGE_TYPES.includes(claims[LTI_CLAIM + 'message_type'])) {
+    throw new LaunchError(`Unsupported message type ${claims[LTI_CLAIM + 'message_type']}`);
+  }
+  if (!isKnownDeployment(platform, claims[LTI_CLAIM + 'deployment_id'])) {
+    throw new LaunchError('Unknown deployment_id');
+  }
+
+  // A nonce is single use for as long as the token carrying it is valid
+  await run(`DELETE FROM lti13_used_nonces WHERE expires_at < ?`, [Math.floor(Date.now() / 1000)]);
+  const { changes } = await run(
+    `INSERT INTO lti13_used_nonces (nonce, expires_at) VALUES (?, ?) ON CONFLICT (nonce) DO NOTHING`,
+    [claims.nonce, claims.exp]
+  );
+  if (!changes) {
+    throw new LaunchError('id_token nonce has already been used');
+  }
+
+  return { claims, platform };
+}
+
+// Course and user ids are stored as <platform id>:<id>, as registered LTI 1.1 consumers'
+// are (see lib/consumers.js), so two platforms that hand out the same ids never share
+// submissions
+function scopedId(platform, id) {
+  return id ? `${platform.id}:${id}` : id;
+}
+
+// The id a platform knows a stored user id by
+function unscopedId(platform, id) {
+  const prefix = `${platform.id}:`;
+  return id && id.startsWith(prefix) ? id.slice(prefix.length) : id;
+}
+
+// The id a stored user id had before ids were scoped (audit events written then keep it), or
+// null if it is not an LTI 1.3 user id
+async function unscopedFormerId(id) {
+  const separator = typeof id === 'string' ? id.indexOf(':') : -1;
+  if (separator < 1) return null;
+  const platform = await get(`SELECT id FROM lti13_platforms WHERE id = ?`, [id.slice(0, separator)]);
+  return platform ? unscopedId(platform, id) : null;
+}
+
+// Map id_token claims onto the same req.session.lti shape the LTI 1.1 launch produces
+function sessionFromClaims(claims, platform) {
+  const context = claims[LTI_CLAIM + 'context'] || {};
+  const resourceLink = claims[LTI_CLAIM + 'resource_link'] || {};
+  const custom = claims[LTI_CLAIM + 'custom'] || {};
+  const presentation = claims[LTI_CLAIM + 'launch_presentation'] || {};
+  const ags = claims[AGS_ENDPOINT_CLAIM] || {};
+  const canPostScores = Array.isArray(ags.scope) && ags.scope.includes(AGS_SCORE_SCOPE);
+
+  return {
+    ltiVersion: '1.3.0',
+    userId: scopedId(platform, claims.sub),
+    userName: claims.name,
+    courseId: scopedId(platform, context.id),
+    assignmentId: custom.canvas_assignment_id || resourceLink.id,
+    roles: (claims[LTI_CLAIM + 'roles'] || []).join(','),
+    locale: presentation.locale || null,
+    pointsPossible: parseFloat(custom.canvas_assignment_points_possible) || null,
+    lisResultSourcedid: null,
+    lisOutcomeServiceUrl: null,
+    outcomeDataTypes: null,
+    consumerKey: null,
+    platformId: platform.id,
+    lineItemUrl: canPostScores ? ags.lineitem || null : null,
+    prompt: custom.audio_prompt || null,
+    clipId: custom.clip_id || null,
+    rules: assignmentRules.fromCustomParams(custom)
+  };
+}
+
+function isDeepLinkingRequest(claims) {
+  return claims[LTI_CLAIM + 'message_type'] === 'LtiDeepLinkingRequest';
+}
+
+// ----- Assignment and Grade Services -----
+
+const accessTokens = new Map();
+
+async function getAccessToken(platform, scope) {
+  const cacheKey = `${platform.id} ${scope}`;
+  const cached = accessTokens.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const clientAssertion = await signToolJwt({
+    iss: platform.client_id,
+    sub: platform.client_id,
+    aud: platform.auth_token_url,
+    jti: uuidv4()
+  }, { expiresIn: 300 });
+
+  const response = await fetch(platform.auth_token_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: clientAssertion,
+      scope
+    }).toString()
+  });
+  if (!response.ok) {
+    throw new Error(`Access token request failed (HTTP ${response.status})`);
+  }
+
+  const result = await response.json();
+  // Refresh a minute early so a token never expires mid-request
+  const expiresIn = (result.expires_in || 3600) - 60;
+  accessTokens.set(cacheKey, { token: result.access_token, expiresAt: Date.now() + expiresIn * 1000 });
+  return result.access_token;
+}
+
+// Post a score for one user to an AGS line item
+async function sendScore(target, scoreGiven, scoreMaximum, comment) {
+  const platform = await get(`SELECT * FROM lti13_platforms WHERE id = ?`, [target.platformId]);
+  if (!platform) {
+    throw new Error('LTI 1.3 platform is no longer registered');
+  }
+
+  const token = await getAccessToken(platform, AGS_SCORE_SCOPE);
+  const scoresUrl = new URL(target.lineItemUrl);
+  scoresUrl.pathname = scoresUrl.pathname.replace(/\/?$/, '/scores');
+
+  const response = await fetch(scoresUrl.toString(), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/vnd.ims.lis.v1.score+json'
+    },
+    body: JSON.stringify({
+      userId: unscopedId(platform, target.userId),
+      scoreGiven,
+      scoreMaximum,
+      comment: comment || undefined,
+      timestamp: new Date().toISOString(),
+      activityProgress: 'Completed',
+      gradingProgress: 'FullyGraded'
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Score service returned HTTP ${response.status}`);
+  }
+}
+
+module.exports = {
+  LOGIN_TTL_SECONDS,
+  LaunchError,
+  registerPlatform,
+  listPlatforms,
+  removePlatform,
+  rotateKeys,
+  rotateKeysIfDue,
+  getJwks,
+  signToolJwt,
+  startLogin,
+  validateLaunch,
+  sessionFromClaims,
+  unscopedFormerId,
+  isDeepLinkingRequest,
+  sendScore
+};
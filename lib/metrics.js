@@ -0,0 +1,99 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served at /metrics. Counters start from zero when the process does;
+// Prometheus's rate() and increase() take restarts in their stride. The process's own
+// metrics (CPU, memory, event loop lag, handles) come with the same prefix.
+const PREFIX = 'audio_lti_';
+
+// Where a request or job can fail, for failures_total:
+//
+//   launch         an LTI launch did not validate
+//   upload         a file or chunk could not be received
+//   ingest         a recording could not be read as audio
+//   rules          a recording broke the assignment's rules
+//   transcode      the playback copy could not be made (the original is served instead)
+//   storage        a recording could not be stored
+//   submission     recording a submission failed for another reason
+//   passback       an attempt to send a grade to Canvas
+//   transcription  a transcript could not be produced
+const STAGES = ['launch', 'upload', 'ingest', 'rules', 'transcode', 'storage', 'submission', 'passback', 'transcription'];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const launches = new client.Counter({
+  name: `${PREFIX}launches_total`,
+  help: 'Validated LTI launches',
+  labelNames: ['lti_version', 'role'],
+  registers: [register]
+});
+
+const uploads = new client.Counter({
+  name: `${PREFIX}uploads_total`,
+  help: 'Recordings submitted, by how they were uploaded',
+  labelNames: ['method'],
+  registers: [register]
+});
+
+const uploadBytes = new client.Histogram({
+  name: `${PREFIX}upload_size_bytes`,
+  help: 'Size of submitted recordings as uploaded',
+  labelNames: ['method'],
+  buckets: [100e3, 500e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6, 250e6, 500e6],
+  registers: [register]
+});
+
+const uploadDuration = new client.Histogram({
+  name: `${PREFIX}upload_duration_seconds`,
+  help: 'Time to take in a submitted recording: receiving, checking, transcoding and storing it',
+  labelNames: ['method'],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const failures = new client.Counter({
+  name: `${PREFIX}failures_total`,
+  help: 'Failures, by the stage they happened in',
+  labelNames: ['stage'],
+  registers: [register]
+});
+// Present from the start, so alerts on a stage that has not failed yet still evaluate
+STAGES.forEach(stage => failures.inc({ stage }, 0));
+
+const gradePassbacks = new client.Counter({
+  name: `${PREFIX}grade_passback_attempts_total`,
+  help: 'Attempts to send a grade to Canvas: sent, retry (failed, will try again) or failed (gave up)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+['sent', 'retry', 'failed'].forEach(outcome => gradePassbacks.inc({ outcome }, 0));
+
+// Read from the database when scraped, so it is right across restarts and instances
+new client.Gauge({
+  name: `${PREFIX}grade_jobs`,
+  help: 'Grade passback jobs in the outbox, by status',
+  labelNames: ['status'],
+  registers: [register],
+  async collect() {
+    // Required here: lib/gradePassback records its attempts through this module
+    const counts = await require('./gradePassback').countByStatus();
+    this.reset();
+    for (const status of ['pending', 'sending', 'sent', 'failed', 'superseded']) {
+      this.set({ status }, counts[status] || 0);
+    }
+  }
+});
+
+function failed(stage) {
+  failures.inc({ stage });
+}
+
+module.exports = {
+  register,
+  launches,
+  uploads,
+  uploadBytes,
+  uploadDuration,
+  gradePassbacks,
+  failed
+};
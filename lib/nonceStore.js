@@ -0,0 +1,66 @@
+const { run } = require('./db');
+const redis = require('./redis');
+
+// Replay protection for LTI 1.1 launches. A signed request carries oauth_timestamp and
+// oauth_nonce; it is refused when the timestamp is more than TIMESTAMP_WINDOW_SECONDS from
+// now either way, or when the consumer has used the nonce before. A nonce only has to be
+// remembered until its timestamp leaves the window, since the request would be refused
+// after that anyway.
+//
+// Used nonces are kept in the database, or in Redis when REDIS_URL is set, so every instance
+// sees them and a restart forgets none.
+const TIMESTAMP_WINDOW_SECONDS = 5 * 60;
+
+// Raised for a request that is stale or has been seen before
+class ReplayError extends Error {}
+
+// Claim a nonce for a consumer; resolves if the request is fresh, rejects with ReplayError if not
+async function consume(consumerKey, nonce, timestamp) {
+  const seconds = Number(timestamp);
+  const now = Math.floor(Date.now() / 1000);
+  if (!nonce || !Number.isInteger(seconds)) {
+    throw new ReplayError('Missing oauth_nonce or oauth_timestamp');
+  }
+  if (Math.abs(now - seconds) > TIMESTAMP_WINDOW_SECONDS) {
+    throw new ReplayError('oauth_timestamp is outside the accepted window; check the server clock');
+  }
+
+  const expiresAt = seconds + TIMESTAMP_WINDOW_SECONDS;
+  let fresh;
+  if (redis.enabled()) {
+    const stored = await redis.getClient().set(`lti:nonce:${consumerKey}:${nonce}`, '1', {
+      NX: true,
+      EX: Math.max(expiresAt - now, 1)
+    });
+    fresh = stored === 'OK';
+  } else {
+    await run(`DELETE FROM oauth_nonces WHERE expires_at < ?`, [now]);
+    const { changes } = await run(
+      `INSERT INTO oauth_nonces (consumer_key, nonce, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT (consumer_key, nonce) DO NOTHING`,
+      [consumerKey, nonce, expiresAt]
+    );
+    fresh = changes > 0;
+  }
+  if (!fresh) {
+    throw new ReplayError('oauth_nonce has already been used');
+  }
+}
+
+// A nonce store for ims-lti's Provider, which checks the nonce once the signature is valid
+function forProvider(consumerKey) {
+  return {
+    isNonceStore: () => true,
+    isNew(nonce, timestamp, next) {
+      consume(consumerKey, nonce, timestamp).then(() => next(null, true), err => {
+        console.error(`LTI launch refused for ${consumerKey}: ${err.message}`);
+        next(err, false);
+      });
+    },
+    setUsed(nonce, timestamp, next) {
+      if (next) next(null);
+    }
+  };
+}
+
+module.exports = { TIMESTAMP_WINDOW_SECONDS, ReplayError, consume, forProvider };
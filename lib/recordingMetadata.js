@@ -0,0 +1,81 @@
+// How the recorder behaved while a submission was made: the background tab policy it ran
+// under, every pause, where the student trimmed the take before submitting, and whether it
+// was a file uploaded instead of recorded. The browser reports this, so only a known shape
+// is kept.
+
+const BACKGROUND_POLICIES = ['pause', 'continue', 'stop'];
+const PAUSE_REASONS = ['manual', 'background'];
+const MAX_PAUSES = 500;
+
+// What the recorder does when the student switches away from the tab while recording
+function backgroundPolicy(value) {
+  const policy = value || process.env.RECORDING_BACKGROUND_POLICY;
+  return BACKGROUND_POLICIES.includes(policy) ? policy : 'pause';
+}
+
+function seconds(value) {
+  const number = Number(value);
+  return isFinite(number) && number >= 0 ? Math.round(number) : 0;
+}
+
+// Trim points are kept to a tenth of a second; a trim that does not make sense is dropped
+function trimRange(trim) {
+  if (!trim || typeof trim !== 'object') return null;
+  const [start, end, originalDuration] = [trim.start, trim.end, trim.originalDuration]
+    .map(value => Math.round(Number(value) * 10) / 10);
+  if (![start, end, originalDuration].every(isFinite) || start < 0 || end <= start || originalDuration < end) {
+    return null;
+  }
+  return { start, end, originalDuration };
+}
+
+// Accepts the JSON the recorder sends (string or parsed) and returns the text to store.
+// The policy comes from the launch and uploadedFile from the route the file came in on, not
+// from the browser.
+function serialize(raw, policy, uploadedFile) {
+  let reported = raw;
+  if (typeof raw === 'string') {
+    try {
+      reported = JSON.parse(raw);
+    } catch (err) {
+      reported = null;
+    }
+  }
+  reported = reported && typeof reported === 'object' ? reported : {};
+
+  const pauses = (Array.isArray(reported.pauses) ? reported.pauses : [])
+    .slice(0, MAX_PAUSES)
+    .filter(pause => pause && typeof pause === 'object')
+    .map(pause => ({
+      at: seconds(pause.at),
+      duration: seconds(pause.duration),
+      reason: PAUSE_REASONS.includes(pause.reason) ? pause.reason : 'manual'
+    }));
+
+  return JSON.stringify({
+    backgroundPolicy: backgroundPolicy(policy),
+    pauses,
+    backgroundTime: seconds(reported.backgroundTime),
+    stoppedInBackground: reported.stoppedInBackground === true,
+    recoveredDraft: reported.recoveredDraft === true,
+    uploadedFile: uploadedFile === true,
+    trim: trimRange(reported.trim)
+  });
+}
+
+// Parse the stored column for API responses; submissions made before it existed have none
+function parse(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  BACKGROUND_POLICIES,
+  backgroundPolicy,
+  serialize,
+  parse
+};
@@ -0,0 +1,20 @@
+// The Redis connection shared by sessions and LTI nonces when REDIS_URL is set. Without it
+// both live in the database. The redis package is only loaded when it is used.
+let client = null;
+
+function enabled() {
+  return Boolean(process.env.REDIS_URL);
+}
+
+// One client per process, connecting on first use; node-redis reconnects by itself
+function getClient() {
+  if (!client) {
+    const { createClient } = require('redis');
+    client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', err => console.error('Redis error:', err.message));
+    client.connect().catch(err => console.error('Unable to connect to Redis:', err.message));
+  }
+  return client;
+}
+
+module.exports = { enabled, getClient };
@@ -0,0 +1,37 @@
+const { get, run } = require('../db');
+
+// Audio clips recorded from the rich content editor button
+
+function create(clip) {
+  return run(
+    `INSERT INTO clips (id, user_id, course_id, audio_url, storage_key, file_name, file_size, duration, mime_type)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [clip.id, clip.userId, clip.courseId, clip.audioUrl, clip.storageKey, clip.fileName, clip.fileSize,
+      clip.duration, clip.mimeType]
+  );
+}
+
+// What an embedded clip shows
+function find(id) {
+  return get(`SELECT id, title, audio_url, file_size, duration, created_at FROM clips WHERE id = ?`, [id]);
+}
+
+function findOwned(id, userId) {
+  return get(`SELECT id FROM clips WHERE id = ? AND user_id = ?`, [id, userId]);
+}
+
+function findFile(id) {
+  return get(`SELECT storage_key, mime_type FROM clips WHERE id = ?`, [id]);
+}
+
+function setTitle(id, title) {
+  return run(`UPDATE clips SET title = ? WHERE id = ?`, [title, id]);
+}
+
+module.exports = {
+  create,
+  find,
+  findOwned,
+  findFile,
+  setTitle
+};
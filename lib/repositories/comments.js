@@ -0,0 +1,32 @@
+const { all, run } = require('../db');
+
+// Comments graders pinned to moments in submissions
+
+// A submission's comments in the order they occur in the recording, offset in seconds
+function forSubmission(submissionId) {
+  return all(
+    `SELECT id, offset_seconds AS "offset", body, author_name, created_at FROM submission_comments
+     WHERE submission_id = ? ORDER BY offset_seconds, created_at`,
+    [submissionId]
+  );
+}
+
+function create(comment) {
+  return run(
+    `INSERT INTO submission_comments (id, submission_id, course_id, offset_seconds, body, author_id, author_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [comment.id, comment.submissionId, comment.courseId, comment.offset, comment.body, comment.authorId,
+      comment.authorName]
+  );
+}
+
+// Resolves to { changes }; nothing changes when the comment is not in the course
+function remove(id, courseId) {
+  return run(`DELETE FROM submission_comments WHERE id = ? AND course_id = ?`, [id, courseId]);
+}
+
+module.exports = {
+  forSubmission,
+  create,
+  remove
+};
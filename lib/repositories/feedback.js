@@ -0,0 +1,61 @@
+const { get, all, run } = require('../db');
+
+// Spoken feedback instructors recorded on submissions
+
+function create(clip) {
+  return run(
+    `INSERT INTO feedback_clips (id, submission_id, course_id, author_id, author_name, audio_url, storage_key,
+       original_storage_key, file_name, file_size, duration, mime_type)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [clip.id, clip.submissionId, clip.courseId, clip.authorId, clip.authorName, clip.audioUrl, clip.storageKey,
+      clip.originalStorageKey, clip.fileName, clip.fileSize, clip.duration, clip.mimeType]
+  );
+}
+
+// Add each submission's feedback clips, oldest first, as submission.feedback
+async function withFeedback(submissions) {
+  if (submissions.length === 0) return submissions;
+
+  const clips = await all(
+    `SELECT id, submission_id, author_name, audio_url, file_size, duration, created_at FROM feedback_clips
+     WHERE submission_id IN (${submissions.map(() => '?').join(', ')})
+     ORDER BY created_at`,
+    submissions.map(submission => submission.id)
+  );
+  return submissions.map(submission => ({
+    ...submission,
+    feedback: clips
+      .filter(clip => clip.submission_id === submission.id)
+      .map(({ submission_id, ...clip }) => clip)
+  }));
+}
+
+function findInCourse(id, courseId) {
+  return get(
+    `SELECT id, storage_key, original_storage_key FROM feedback_clips WHERE id = ? AND course_id = ?`,
+    [id, courseId]
+  );
+}
+
+// The stored file to play. Graders in the course may ({ courseId }), and so may the student
+// whose submission it answers ({ userId }).
+function findFile(id, scope) {
+  const grader = 'courseId' in scope;
+  return get(
+    `SELECT f.storage_key, f.mime_type FROM feedback_clips f JOIN submissions s ON s.id = f.submission_id
+     WHERE f.id = ? AND ${grader ? 'f.course_id' : 's.user_id'} = ?`,
+    [id, grader ? scope.courseId : scope.userId]
+  );
+}
+
+function remove(id) {
+  return run(`DELETE FROM feedback_clips WHERE id = ?`, [id]);
+}
+
+module.exports = {
+  create,
+  withFeedback,
+  findInCourse,
+  findFile,
+  remove
+};
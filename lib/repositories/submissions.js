@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const { get, all, run } = require('../db');
+const transcription = require('../transcription');
+const gradePassback = require('../gradePassback');
+const recordingMetadata = require('../recordingMetadata');
+
+// Submissions and their stored files. Lookups that depend on who is asking take a scope:
+// { courseId } for a grader, who sees the whole course, or { userId } for a student, who
+// sees only their own.
+function scopeCondition(scope) {
+  return 'courseId' in scope ? ['s.course_id = ?', scope.courseId] : ['s.user_id = ?', scope.userId];
+}
+
+function withMetadata(row) {
+  return { ...row, recording_metadata: recordingMetadata.parse(row.recording_metadata) };
+}
+
+// Record a submission for a launch, keeping the outcome details so a grader can score it
+// later, along with its stored files ({ variant: file } as ingested)
+async function create(lti, submission, files) {
+  await run(
+    `INSERT INTO submissions (id, user_id, user_name, course_id, assignment_id, audio_url, storage_key, file_name,
+       file_size, duration, original_duration, mime_type, consumer_key, lis_result_sourcedid, lis_outcome_service_url,
+       outcome_data_types, lti_version, platform_id, line_item_url, recording_metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [submission.id, lti.userId, lti.userName, lti.courseId, lti.assignmentId, submission.audioUrl,
+      submission.storageKey, submission.fileName, submission.fileSize, submission.duration,
+      submission.originalDuration, submission.mimeType, lti.consumerKey, lti.lisResultSourcedid,
+      lti.lisOutcomeServiceUrl, lti.outcomeDataTypes, lti.ltiVersion, lti.platformId, lti.lineItemUrl,
+      submission.recordingMetadata]
+  );
+
+  for (const variant of Object.keys(files)) {
+    const file = files[variant];
+    await run(
+      `INSERT INTO submission_files (id, submission_id, variant, audio_url, storage_key, file_name, file_size,
+         mime_type, container, codec, duration)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), submission.id, variant, `${submission.audioUrl}?variant=${variant}`, file.storageKey,
+        file.fileName, file.fileSize, file.mimeType, file.container, file.codec, file.duration]
+    );
+  }
+}
+
+// A submission with its transcript and recording metadata
+async function find(id, scope) {
+  const [condition, value] = scopeCondition(scope);
+  const row = await get(
+    `SELECT s.*, ${transcription.TRANSCRIPT_COLUMNS}
+     FROM submissions s LEFT JOIN transcripts t ON t.submission_id = s.id
+     WHERE s.id = ? AND ${condition}`,
+    [id, value]
+  );
+  return row ? withMetadata(transcription.withTranscript(row)) : null;
+}
+
+// The stored file to play, the playback copy or the given variant, with whose submission it is
+async function findFile(id, scope, variant) {
+  const [condition, value] = scopeCondition(scope);
+  const submission = await get(
+    `SELECT s.id, s.user_id, s.storage_key, s.mime_type FROM submissions s WHERE s.id = ? AND ${condition}`,
+    [id, value]
+  );
+  if (!submission || !variant) {
+    return submission;
+  }
+  const file = await get(
+    `SELECT storage_key, mime_type FROM submission_files WHERE submission_id = ? AND variant = ?`,
+    [submission.id, variant]
+  );
+  return file && { ...file, user_id: submission.user_id };
+}
+
+// Everything a grader needs to score a submission and pass the grade back
+function findForGrading(id, courseId, assignmentId) {
+  return get(
+    `SELECT * FROM submissions WHERE id = ? AND course_id = ? AND assignment_id = ?`,
+    [id, courseId, assignmentId]
+  );
+}
+
+function findInCourse(id, courseId) {
+  return get(`SELECT id, duration FROM submissions WHERE id = ? AND course_id = ?`, [id, courseId]);
+}
+
+// A student's submissions to the launched assignment, newest first
+function listOwn(lti) {
+  return all(
+    `SELECT s.id, s.audio_url, s.file_name, s.file_size, s.duration, s.created_at,
+       (SELECT COUNT(*) FROM submission_comments c WHERE c.submission_id = s.id) AS comment_count
+     FROM submissions s
+     WHERE s.user_id = ? AND s.course_id = ? AND s.assignment_id = ?
+     ORDER BY s.created_at DESC`,
+    [lti.userId, lti.courseId, lti.assignmentId]
+  );
+}
+
+// Every student's submissions to an assignment, with transcripts and where each grade is on
+// its way to Canvas. search narrows them to those whose student name or transcript contains it.
+async function listForGrading(courseId, assignmentId, search) {
+  const params = [courseId, assignmentId];
+  let filter = '';
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, match => '\\' + match)}%`;
+    filter = `AND (LOWER(s.user_name) LIKE LOWER(?) ESCAPE '\\' OR LOWER(t.text) LIKE LOWER(?) ESCAPE '\\')`;
+    params.push(pattern, pattern);
+  }
+
+  const rows = await all(
+    `SELECT s.id, s.user_id, s.user_name, s.audio_url, s.file_name, s.file_size, s.duration, s.original_duration,
+       s.created_at,
+       s.recording_metadata, s.score, s.grader_comment, s.graded_by, s.graded_at,
+       (s.lis_result_sourcedid IS NOT NULL AND s.lis_outcome_service_url IS NOT NULL)
+         OR s.line_item_url IS NOT NULL AS can_pass_back,
+       (SELECT COUNT(*) FROM submission_comments c WHERE c.submission_id = s.id) AS comment_count,
+       ${transcription.TRANSCRIPT_COLUMNS}, ${gradePassback.JOB_COLUMNS}
+     FROM submissions s LEFT JOIN transcripts t ON t.submission_id = s.id
+     ${gradePassback.LATEST_JOB_JOIN}
+     WHERE s.course_id = ? AND s.assignment_id = ? ${filter}
+     ORDER BY s.user_name, s.user_id, s.created_at DESC`,
+    params
+  );
+  return rows.map(row => withMetadata(transcription.withTranscript(gradePassback.withJob(row))));
+}
+
+// Every submission to an assignment with the stored file of the given variant ('playback' or
+// 'original'), oldest first per student. Submissions stored before files were tracked per
+// variant fall back to their single file.
+function listForExport(courseId, assignmentId, variant) {
+  return all(
+    `SELECT s.id, s.user_id, s.user_name, s.created_at, s.duration, s.original_duration, s.score,
+       s.grader_comment, s.graded_by, s.graded_at,
+       COALESCE(f.storage_key, s.storage_key) AS storage_key,
+       COALESCE(f.file_name, s.file_name) AS file_name,
+       COALESCE(f.file_size, s.file_size) AS file_size,
+       COALESCE(f.mime_type, s.mime_type) AS mime_type
+     FROM submissions s LEFT JOIN submission_files f ON f.submission_id = s.id AND f.variant = ?
+     WHERE s.course_id = ? AND s.assignment_id = ?
+     ORDER BY s.user_name, s.user_id, s.created_at`,
+    [variant, courseId, assignmentId]
+  );
+}
+
+function saveGrade(id, score, comment, gradedBy) {
+  return run(
+    `UPDATE submissions SET score = ?, grader_comment = ?, graded_by = ?, graded_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [score, comment || null, gradedBy, id]
+  );
+}
+
+module.exports = {
+  create,
+  find,
+  findFile,
+  findForGrading,
+  findInCourse,
+  listOwn,
+  listForGrading,
+  listForExport,
+  saveGrade
+};
@@ -0,0 +1,272 @@
+const { all, run, secondsAgo } = require('./db');
+const { storage } = require('./storage');
+const uploadSessions = require('./uploadSessions');
+const audit = require('./audit');
+const lti13 = require('./lti13');
+
+// Recordings are personal data, so they are kept only as long as they are needed:
+//
+//   RETENTION_DAYS=<n>   submissions older than n days are deleted, in every course
+//   a course policy      overrides that for one course: its own number of days, or forever
+//
+// With neither, nothing expires. Deleting a submission deletes everything that hangs off it:
+// its stored files, transcript, comments, spoken feedback, grade jobs and upload session.
+// Clips made with the editor button are embedded in course pages, so they do not expire; they
+// go when the user who recorded them is erased.
+const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS, 10) || null;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Tables keyed by submission_id, emptied before the submissions themselves
+const SUBMISSION_TABLES = [
+  'submission_files', 'transcripts', 'submission_comments', 'feedback_clips', 'grade_jobs', 'upload_sessions'
+];
+
+// Enough ids per query to stay under SQLite's limit on bound parameters
+const BATCH_SIZE = 100;
+
+// Raised for a policy that cannot be saved; carries an HTTP status
+class RetentionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function batches(ids) {
+  const result = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    result.push(ids.slice(i, i + BATCH_SIZE));
+  }
+  return result;
+}
+
+function placeholders(ids) {
+  return ids.map(() => '?').join(', ');
+}
+
+// Rows of a submission_id keyed table for any of the given submissions
+async function rowsFor(table, submissionIds) {
+  const rows = [];
+  for (const batch of batches(submissionIds)) {
+    rows.push(...await all(`SELECT * FROM ${table} WHERE submission_id IN (${placeholders(batch)})`, batch));
+  }
+  return rows;
+}
+
+// The global default and every course's policy
+async function listPolicies() {
+  const courses = await all(
+    `SELECT course_id, retain_days, updated_by, updated_at FROM retention_policies ORDER BY course_id`
+  );
+  return { defaultDays: RETENTION_DAYS, courses };
+}
+
+// days is a whole number of days, or null / 'forever' to keep the course's recordings
+async function setPolicy(courseId, days, updatedBy) {
+  let retainDays = null;
+  if (days !== null && days !== 'forever') {
+    retainDays = Number(days);
+    if (!Number.isInteger(retainDays) || retainDays < 1) {
+      throw new RetentionError('Retention must be a whole number of days, or "forever"', 400);
+    }
+  }
+
+  await run(
+    `INSERT INTO retention_policies (course_id, retain_days, updated_by, updated_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT (course_id) DO UPDATE SET
+       retain_days = excluded.retain_days, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+    [courseId, retainDays, updatedBy || null]
+  );
+  return { course_id: courseId, retain_days: retainDays };
+}
+
+// Put a course back on the global default
+function clearPolicy(courseId) {
+  return run(`DELETE FROM retention_policies WHERE course_id = ?`, [courseId]);
+}
+
+// Submissions past their course's retention
+async function expiredSubmissions() {
+  const columns = 'id, user_id, course_id, assignment_id, created_at';
+  const expired = [];
+
+  const policies = await all(`SELECT course_id, retain_days FROM retention_policies WHERE retain_days IS NOT NULL`);
+  for (const policy of policies) {
+    expired.push(...await all(
+      `SELECT ${columns} FROM submissions WHERE course_id = ? AND created_at < ?`,
+      [policy.course_id, secondsAgo(policy.retain_days * DAY_SECONDS)]
+    ));
+  }
+
+  if (RETENTION_DAYS) {
+    expired.push(...await all(
+      `SELECT ${columns} FROM submissions
+       WHERE (course_id IS NULL OR course_id NOT IN (SELECT course_id FROM retention_policies))
+         AND created_at < ?`,
+      [secondsAgo(RETENTION_DAYS * DAY_SECONDS)]
+    ));
+  }
+  return expired;
+}
+
+// The stored objects of these submissions, including spoken feedback on them
+async function submissionObjects(submissionIds) {
+  const keys = [];
+  for (const batch of batches(submissionIds)) {
+    const list = placeholders(batch);
+    const rows = await all(
+      `SELECT storage_key FROM submissions WHERE id IN (${list}) AND storage_key IS NOT NULL
+       UNION SELECT storage_key FROM submission_files WHERE submission_id IN (${list}) AND storage_key IS NOT NULL
+       UNION SELECT storage_key FROM feedback_clips WHERE submission_id IN (${list}) AND storage_key IS NOT NULL
+       UNION SELECT original_storage_key FROM feedback_clips
+         WHERE submission_id IN (${list}) AND original_storage_key IS NOT NULL`,
+      [...batch, ...batch, ...batch, ...batch]
+    );
+    keys.push(...rows.map(row => row.storage_key));
+  }
+  return keys;
+}
+
+// Objects go first: if storage fails, the rows stay behind and the next run tries again
+async function removeObjects(keys) {
+  for (const key of keys) {
+    await storage.remove(key);
+  }
+}
+
+async function deleteSubmissions(submissionIds) {
+  for (const batch of batches(submissionIds)) {
+    await removeObjects(await submissionObjects(batch));
+    for (const table of SUBMISSION_TABLES) {
+      await run(`DELETE FROM ${table} WHERE submission_id IN (${placeholders(batch)})`, batch);
+    }
+    await run(`DELETE FROM submissions WHERE id IN (${placeholders(batch)})`, batch);
+  }
+}
+
+// Delete every submission past its course's retention, and clear the personal details from
+// audit events past theirs. With dryRun, only report what would change.
+async function purgeExpired({ dryRun = false } = {}) {
+  const expired = await expiredSubmissions();
+  const ids = expired.map(submission => submission.id);
+  const objects = await submissionObjects(ids);
+  if (!dryRun && ids.length) {
+    await deleteSubmissions(ids);
+    await audit.append({ action: 'retention.purge', details: { submissions: ids.length, objects: objects.length } });
+  }
+  const auditEventsCleared = await audit.clearExpired({ dryRun });
+  return { dryRun, submissions: expired, objects, auditEventsCleared };
+}
+
+// Everything stored about an LTI user: their submissions and what hangs off them, clips they
+// recorded, their upload sessions, the feedback, comments and grades they left as a grader, and
+// the audit events about them
+async function userData(userId) {
+  const submissions = await all(`SELECT * FROM submissions WHERE user_id = ? ORDER BY created_at`, [userId]);
+  const ids = submissions.map(submission => submission.id);
+  return {
+    user_id: userId,
+    submissions,
+    submission_files: await rowsFor('submission_files', ids),
+    transcripts: await rowsFor('transcripts', ids),
+    comments: await rowsFor('submission_comments', ids),
+    feedback: await rowsFor('feedback_clips', ids),
+    grade_jobs: await rowsFor('grade_jobs', ids),
+    clips: await all(`SELECT * FROM clips WHERE user_id = ? ORDER BY created_at`, [userId]),
+    upload_sessions: await uploadSessions.listForUser(userId),
+    authored_feedback: await all(
+      `SELECT * FROM feedback_clips WHERE author_id = ? ORDER BY created_at`, [userId]
+    ),
+    authored_comments: await all(
+      `SELECT * FROM submission_comments WHERE author_id = ? ORDER BY created_at`, [userId]
+    ),
+    grades_given: await all(
+      `SELECT id, course_id, assignment_id, score, grader_comment, graded_at FROM submissions WHERE graded_by = ?`,
+      [userId]
+    ),
+    // Erasure pseudonymizes the audit log rather than deleting it, but what it says about the
+    // user is theirs to see
+    audit_events: await auditEventsAbout(userId)
+  };
+}
+
+// Every id the audit log may know a user by: LTI 1.3 events from before ids were scoped by
+// platform carry the platform's own id
+async function auditIds(userId) {
+  const former = await lti13.unscopedFormerId(userId);
+  return former ? [userId, former] : [userId];
+}
+
+async function auditEventsAbout(userId) {
+  const ids = await auditIds(userId);
+  const list = placeholders(ids);
+  return all(
+    `SELECT * FROM audit_events WHERE actor_id IN (${list}) OR subject_user_id IN (${list}) ORDER BY occurred_at, id`,
+    [...ids, ...ids]
+  );
+}
+
+// The stored objects in a userData() result
+function userObjects(data) {
+  const keys = [
+    ...data.submissions.map(row => row.storage_key),
+    ...data.submission_files.map(row => row.storage_key),
+    ...data.feedback.flatMap(row => [row.storage_key, row.original_storage_key]),
+    ...data.clips.map(row => row.storage_key),
+    ...data.authored_feedback.flatMap(row => [row.storage_key, row.original_storage_key])
+  ];
+  return [...new Set(keys.filter(Boolean))];
+}
+
+// Erase an LTI user: delete their submissions, clips, upload sessions and the spoken feedback
+// they recorded, take their name off comments and grades they left on other students' work,
+// and pseudonymize the audit events about them. With dryRun, only report what would change;
+// otherwise the report has the pseudonym, for recording the erasure without the user's id.
+async function eraseUser(userId, { dryRun = false } = {}) {
+  const data = await userData(userId);
+  const objects = userObjects(data);
+  const report = {
+    dryRun,
+    userId,
+    submissions: data.submissions.length,
+    clips: data.clips.length,
+    uploadSessions: data.upload_sessions.length,
+    feedbackRecorded: data.authored_feedback.length,
+    commentsAnonymized: data.authored_comments.length,
+    gradesAnonymized: data.grades_given.length,
+    auditEventsPseudonymized: data.audit_events.length,
+    pseudonym: null,
+    objects
+  };
+  if (dryRun) {
+    return report;
+  }
+
+  await deleteSubmissions(data.submissions.map(row => row.id));
+
+  await removeObjects([
+    ...data.clips.map(row => row.storage_key),
+    ...data.authored_feedback.flatMap(row => [row.storage_key, row.original_storage_key])
+  ].filter(Boolean));
+  await run(`DELETE FROM clips WHERE user_id = ?`, [userId]);
+  await run(`DELETE FROM feedback_clips WHERE author_id = ?`, [userId]);
+  await uploadSessions.removeForUser(userId);
+
+  await run(`UPDATE submission_comments SET author_id = NULL, author_name = NULL WHERE author_id = ?`, [userId]);
+  await run(`UPDATE submissions SET graded_by = NULL WHERE graded_by = ?`, [userId]);
+  report.pseudonym = (await audit.pseudonymize(await auditIds(userId))).pseudonym;
+  return report;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  RetentionError,
+  listPolicies,
+  setPolicy,
+  clearPolicy,
+  purgeExpired,
+  userData,
+  userObjects,
+  eraseUser
+};
@@ -0,0 +1,62 @@
+const session = require('express-session');
+const { get, run } = require('./db');
+const redis = require('./redis');
+
+// Where express-session keeps sessions: the database, or Redis when REDIS_URL is set. Either
+// way a restart does not log students out in the middle of a recording, and every instance
+// behind a load balancer sees the same sessions.
+
+// How long an idle session lives when its cookie sets no expiry of its own
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+function expiresAt(sess) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+}
+
+class DatabaseStore extends session.Store {
+  constructor() {
+    super();
+    setInterval(() => {
+      this.prune().catch(err => console.error('Session cleanup failed:', err));
+    }, PRUNE_INTERVAL_MS).unref();
+  }
+
+  get(sid, callback) {
+    get(`SELECT data FROM sessions WHERE sid = ? AND expires_at > ?`, [sid, Date.now()])
+      .then(row => callback(null, row ? JSON.parse(row.data) : null), callback);
+  }
+
+  set(sid, sess, callback) {
+    run(
+      `INSERT INTO sessions (sid, data, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT (sid) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`,
+      [sid, JSON.stringify(sess), expiresAt(sess)]
+    ).then(() => callback && callback(null), callback);
+  }
+
+  // Called for a request that did not change the session, to keep it from expiring
+  touch(sid, sess, callback) {
+    run(`UPDATE sessions SET expires_at = ? WHERE sid = ?`, [expiresAt(sess), sid])
+      .then(() => callback && callback(null), callback);
+  }
+
+  destroy(sid, callback) {
+    run(`DELETE FROM sessions WHERE sid = ?`, [sid]).then(() => callback && callback(null), callback);
+  }
+
+  prune() {
+    return run(`DELETE FROM sessions WHERE expires_at <= ?`, [Date.now()]);
+  }
+}
+
+function createStore() {
+  if (redis.enabled()) {
+    const RedisStore = require('connect-redis').default;
+    return new RedisStore({ client: redis.getClient(), prefix: 'lti:sess:', ttl: DEFAULT_TTL_MS / 1000 });
+  }
+  return new DatabaseStore();
+}
+
+module.exports = { createStore };
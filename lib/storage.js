@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const AWS = require('aws-sdk');
+const { ready, all, run } = require('./db');
+
+// Where recordings live. Every backend keeps objects private; they are only ever
+// played through routes that check the LTI session first.
+//
+//   STORAGE_BACKEND=local  files under STORAGE_LOCAL_DIR (default ./uploads), streamed by the app
+//   STORAGE_BACKEND=s3     a private S3 bucket, played through short-lived signed URLs
+//   STORAGE_BACKEND=minio  the same against an S3-compatible server at S3_ENDPOINT
+//
+// Without STORAGE_BACKEND, S3 is used when AWS credentials are set, as before.
+
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 300;
+
+class LocalStorage {
+  constructor(directory) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+    // Origins the browser is redirected to for playback, for the Content-Security-Policy
+    this.mediaSources = [];
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    // Keys are generated by the app, but never let one point outside the storage directory
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(localPath, key) {
+    const destination = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    // Uploads arrive in the OS temp directory, which may be another filesystem
+    await fs.promises.copyFile(localPath, destination);
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.resolve(key)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  // Copy a stored object to a local file for processing
+  async download(key, destination) {
+    await fs.promises.copyFile(this.resolve(key), destination);
+  }
+
+  // Resolves if recordings can be stored
+  async check() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.access(this.directory, fs.constants.W_OK);
+  }
+
+  // A stream of a stored object; rejects if there is no such object
+  async open(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  // Stream the file, with range support so players can seek
+  async send(key, res, contentType) {
+    res.set('Cache-Control', 'private, no-store');
+    if (contentType) {
+      res.type(contentType);
+    }
+    res.sendFile(this.resolve(key), err => {
+      if (err && !res.headersSent) {
+        res.status(err.status || 500).json({ error: 'Recording not found' });
+      }
+    });
+  }
+}
+
+class S3Storage {
+  constructor(name, options) {
+    this.name = name;
+    this.bucket = options.bucket;
+    const config = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: options.region,
+      signatureVersion: 'v4'
+    };
+    if (options.endpoint) {
+      // S3-compatible servers are addressed by path, not by bucket subdomain
+      config.endpoint = options.endpoint;
+      config.s3ForcePathStyle = true;
+    }
+    this.s3 = new AWS.S3(config);
+    this.mediaSources = [options.endpoint ? new URL(options.endpoint).origin : 'https://*.amazonaws.com'];
+  }
+
+  async put(localPath, key, contentType) {
+    // No ACL: objects inherit the bucket's private default
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(localPath),
+      ContentType: contentType
+    }).promise();
+  }
+
+  async remove(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  async download(key, destination) {
+    await pipeline(
+      this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream(),
+      fs.createWriteStream(destination)
+    );
+  }
+
+  async open(key) {
+    await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  // Redirect to a signed URL that expires shortly, so a copied link stops working
+  async send(key, res, contentType) {
+    const url = await this.s3.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: SIGNED_URL_TTL_SECONDS,
+      ResponseContentType: contentType || undefined
+    });
+    res.set('Cache-Control', 'private, no-store');
+    res.redirect(302, url);
+  }
+
+  // Resolves if the bucket is there and the credentials reach it
+  async check() {
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET_NAME is not set');
+    }
+    await this.s3.headBucket({ Bucket: this.bucket }).promise();
+  }
+
+  // Make objects uploaded by older versions, which used a public-read ACL, private again
+  async makePrivate(key) {
+    await this.s3.putObjectAcl({ Bucket: this.bucket, Key: key, ACL: 'private' }).promise();
+  }
+
+  // Local MinIO servers start empty; create the bucket on first use
+  async ensureBucket() {
+    try {
+      await this.s3.headBucket({ Bucket: this.bucket }).promise();
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      await this.s3.createBucket({ Bucket: this.bucket }).promise();
+      console.log(`Created bucket ${this.bucket}`);
+    }
+  }
+}
+
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND ||
+    (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY ? 's3' : 'local');
+
+  switch (backend) {
+    case 'local':
+      return new LocalStorage(process.env.STORAGE_LOCAL_DIR || 'uploads');
+    case 's3':
+      return new S3Storage('s3', {
+        bucket: process.env.S3_BUCKET_NAME,
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        region: process.env.AWS_REGION || 'us-east-1'
+      });
+    case 'minio':
+      return new S3Storage('minio', {
+        bucket: process.env.S3_BUCKET_NAME || 'audio-submissions',
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'minioadmin',
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'minioadmin',
+        region: process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+// Older rows recorded a public URL instead of a key: /uploads/<key> locally, or the S3 object URL
+function keyFromLegacyUrl(audioUrl) {
+  if (!audioUrl) return null;
+  if (audioUrl.startsWith('/uploads/')) {
+    return decodeURIComponent(audioUrl.slice('/uploads/'.length));
+  }
+  try {
+    const url = new URL(audioUrl);
+    const pathname = decodeURIComponent(url.pathname.slice(1));
+    // Path-style URLs put the bucket first; virtual-hosted ones put it in the host name
+    const bucket = process.env.S3_BUCKET_NAME;
+    return bucket && pathname.startsWith(bucket + '/') && !url.hostname.startsWith(bucket + '.')
+      ? pathname.slice(bucket.length + 1)
+      : pathname;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Rows from before private storage point at public URLs. Record their keys and send
+// playback through the authenticated routes instead. Safe to run on every startup.
+async function adoptLegacyRecordings() {
+  await ready;
+  const tables = [
+    { table: 'submissions', route: row => `/submission/${row.id}/audio` },
+    { table: 'submission_files', route: row => `/submission/${row.submission_id}/audio?variant=${row.variant}` },
+    { table: 'clips', route: row => `/clips/${row.id}/audio` }
+  ];
+
+  let adopted = 0;
+  for (const { table, route } of tables) {
+    const rows = await all(`SELECT * FROM ${table} WHERE storage_key IS NULL AND audio_url IS NOT NULL`);
+    for (const row of rows) {
+      const key = keyFromLegacyUrl(row.audio_url);
+      if (key) {
+        await run(`UPDATE ${table} SET storage_key = ?, audio_url = ? WHERE id = ?`, [key, route(row), row.id]);
+        adopted++;
+      }
+    }
+  }
+  return adopted;
+}
+
+// Every stored object the database knows about
+async function listKeys() {
+  await ready;
+  const rows = await all(
+    `SELECT storage_key FROM submissions WHERE storage_key IS NOT NULL
+     UNION SELECT storage_key FROM submission_files WHERE storage_key IS NOT NULL
+     UNION SELECT storage_key FROM clips WHERE storage_key IS NOT NULL
+     UNION SELECT storage_key FROM feedback_clips WHERE storage_key IS NOT NULL
+     UNION SELECT original_storage_key FROM feedback_clips WHERE original_storage_key IS NOT NULL`
+  );
+  return rows.map(row => row.storage_key);
+}
+
+const storage = createStorage();
+
+module.exports = {
+  storage,
+  keyFromLegacyUrl,
+  adoptLegacyRecordings,
+  listKeys,
+  SIGNED_URL_TTL_SECONDS
+};
@@ -0,0 +1,207 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { dialect, get, run, secondsAgo } = require('./db');
+const audio = require('./audio');
+const { storage } = require('./storage');
+const metrics = require('./metrics');
+
+const execFileAsync = util.promisify(execFile);
+
+// Submissions are transcribed on this server by a local engine; audio never leaves it.
+//
+//   TRANSCRIPTION_ENGINE=whisper  whisper.cpp (TRANSCRIPTION_BINARY defaults to whisper-cli)
+//   TRANSCRIPTION_ENGINE=vosk     vosk-transcriber from the vosk Python package
+//
+// TRANSCRIPTION_MODEL is the model file (whisper) or directory (vosk). Without an engine
+// nothing is queued.
+const ENGINE = process.env.TRANSCRIPTION_ENGINE || null;
+const MODEL = process.env.TRANSCRIPTION_MODEL;
+const LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'auto';
+const BINARY = process.env.TRANSCRIPTION_BINARY || (ENGINE === 'vosk' ? 'vosk-transcriber' : 'whisper-cli');
+const TIMEOUT_MS = parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 30 * 1000;
+// Longer than any job takes: the engine's timeout, plus downloading and converting the audio
+const STALLED_AFTER_MS = TIMEOUT_MS + 10 * 60 * 1000;
+const WORK_DIR = path.join(os.tmpdir(), 'canvas-audio-lti-transcripts');
+
+function enabled() {
+  return (ENGINE === 'whisper' || ENGINE === 'vosk') && Boolean(MODEL);
+}
+
+// Queue a submission; the worker picks it up straight away if it is idle
+async function enqueue(submissionId) {
+  if (!enabled()) return;
+  await run(
+    `INSERT INTO transcripts (submission_id, status, engine) VALUES (?, 'queued', ?)
+     ON CONFLICT (submission_id) DO UPDATE SET status = 'queued', attempts = 0, error = NULL,
+       updated_at = CURRENT_TIMESTAMP`,
+    [submissionId, ENGINE]
+  );
+  wake();
+}
+
+// whisper.cpp writes <base>.json with offsets in milliseconds
+async function runWhisper(wavPath, outputBase) {
+  await execFileAsync(BINARY, [
+    '-m', MODEL, '-f', wavPath, '-l', LANGUAGE, '-oj', '-of', outputBase, '-np'
+  ], { timeout: TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+
+  const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+  return {
+    language: (output.result && output.result.language) || (LANGUAGE === 'auto' ? null : LANGUAGE),
+    segments: (output.transcription || []).map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim()
+    }))
+  };
+}
+
+function srtTime(value) {
+  const [hours, minutes, seconds] = value.trim().replace(',', '.').split(':');
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+// vosk-transcriber writes SRT: numbered blocks of "start --> end" followed by text lines
+async function runVosk(wavPath, outputBase) {
+  const outputPath = `${outputBase}.srt`;
+  await execFileAsync(BINARY, [
+    '-m', MODEL, '-i', wavPath, '-t', 'srt', '-o', outputPath
+  ], { timeout: TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+
+  const srt = await fs.promises.readFile(outputPath, 'utf8');
+  const segments = srt.split(/\r?\n\r?\n/).map(block => {
+    const lines = block.trim().split(/\r?\n/);
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) return null;
+    const [start, end] = lines[timing].split('-->');
+    return { start: srtTime(start), end: srtTime(end), text: lines.slice(timing + 1).join(' ').trim() };
+  }).filter(Boolean);
+
+  return { language: LANGUAGE === 'auto' ? null : LANGUAGE, segments };
+}
+
+async function transcribe(submission) {
+  const directory = path.join(WORK_DIR, submission.id);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  try {
+    const audioPath = path.join(directory, 'audio');
+    await storage.download(submission.storage_key, audioPath);
+    const wavPath = await audio.toSpeechWav(audioPath);
+    const outputBase = path.join(directory, 'transcript');
+
+    const result = ENGINE === 'vosk'
+      ? await runVosk(wavPath, outputBase)
+      : await runWhisper(wavPath, outputBase);
+    const segments = result.segments.filter(segment => segment.text);
+    return { ...result, segments, text: segments.map(segment => segment.text).join(' ') };
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+async function processNext() {
+  const job = await get(
+    `SELECT t.submission_id, t.attempts, s.storage_key FROM transcripts t
+     JOIN submissions s ON s.id = t.submission_id
+     WHERE t.status = 'queued' ORDER BY t.updated_at LIMIT 1`
+  );
+  if (!job) return false;
+
+  // Claim it; another instance sharing the database may have got there first
+  const { changes } = await run(
+    `UPDATE transcripts SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE submission_id = ? AND status = 'queued'`,
+    [job.submission_id]
+  );
+  if (!changes) return true;
+
+  try {
+    const result = await transcribe({ id: job.submission_id, storage_key: job.storage_key });
+    await run(
+      `UPDATE transcripts SET status = 'done', language = ?, text = ?, segments = ?, error = NULL,
+         updated_at = CURRENT_TIMESTAMP WHERE submission_id = ?`,
+      [result.language, result.text, JSON.stringify(result.segments), job.submission_id]
+    );
+  } catch (err) {
+    console.error(`Transcribing ${job.submission_id} failed:`, err.message);
+    metrics.failed('transcription');
+    // Requeued jobs go to the back, so one bad file cannot hold up the rest
+    const status = job.attempts + 1 >= MAX_ATTEMPTS ? 'failed' : 'queued';
+    await run(
+      `UPDATE transcripts SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE submission_id = ?`,
+      [status, err.message, job.submission_id]
+    );
+  }
+  return true;
+}
+
+// One job at a time: transcription is CPU-heavy and shares the machine with the web server
+let working = null;
+
+function wake() {
+  if (!working) {
+    working = (async () => {
+      try {
+        while (await processNext());
+      } catch (err) {
+        console.error('Transcription worker error:', err);
+      } finally {
+        working = null;
+      }
+    })();
+  }
+  return working;
+}
+
+// Jobs left 'processing' belonged to a process that stopped mid-way; they start over. With
+// SQLite that is anything running when this server starts; on a shared PostgreSQL database
+// only jobs that have run for longer than any job can.
+function requeueStalled(startup) {
+  const stalled = startup && dialect === 'sqlite' ? '' : ' AND updated_at < ?';
+  return run(
+    `UPDATE transcripts SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE status = 'processing'${stalled}`,
+    stalled ? [secondsAgo(STALLED_AFTER_MS / 1000)] : []
+  );
+}
+
+async function start() {
+  if (ENGINE && !enabled()) {
+    console.warn('Transcription needs TRANSCRIPTION_ENGINE=whisper|vosk and TRANSCRIPTION_MODEL; it is disabled');
+  }
+  if (!enabled()) return;
+  await requeueStalled(true);
+  wake();
+  setInterval(() => {
+    requeueStalled(false).then(wake, err => console.error('Transcription worker error:', err));
+  }, POLL_INTERVAL_MS).unref();
+}
+
+// Columns to add to a submissions query joined as LEFT JOIN transcripts t ON t.submission_id = s.id
+const TRANSCRIPT_COLUMNS = `t.status AS transcript_status, t.language AS transcript_language,
+  t.text AS transcript_text, t.segments AS transcript_segments`;
+
+// Replace the joined transcript_* columns of a row with a transcript object, null if there is none
+function withTranscript(row) {
+  const { transcript_status, transcript_language, transcript_text, transcript_segments, ...submission } = row;
+  submission.transcript = transcript_status ? {
+    status: transcript_status,
+    language: transcript_language || null,
+    text: transcript_text || null,
+    segments: transcript_segments ? JSON.parse(transcript_segments) : []
+  } : null;
+  return submission;
+}
+
+module.exports = {
+  TRANSCRIPT_COLUMNS,
+  enabled,
+  enqueue,
+  start,
+  withTranscript
+};
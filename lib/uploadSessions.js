@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { get, run, all, secondsAgo } = require('./db');
+
+const SESSION_DIR = process.env.UPLOAD_SESSION_DIR || path.join(os.tmpdir(), 'canvas-audio-lti-sessions');
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_SESSION_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const SESSION_TTL_HOURS = 24;
+// Finalizing takes minutes at most (see lib/audio.js); a session still finalizing after this
+// was left behind by a process that died
+const FINALIZE_TTL_HOURS = 1;
+
+// Raised for requests that conflict with the session's state; carries an HTTP status
+class UploadSessionError extends Error {
+  constructor(message, status, session) {
+    super(message);
+    this.status = status;
+    this.session = session;
+  }
+}
+
+// A chunk is written in seconds; a claim older than this was left by a process that died
+const APPEND_CLAIM_MS = 60 * 1000;
+
+function dataPath(id) {
+  return path.join(SESSION_DIR, `session-${id}`);
+}
+
+function describe(session) {
+  return {
+    uploadId: session.id,
+    offset: session.bytes_received,
+    status: session.status,
+    submissionId: session.submission_id
+  };
+}
+
+// The LTI context is captured now, so a relaunch mid-recording cannot move the submission
+async function create(lti, mimeType) {
+  const id = uuidv4();
+  await fs.promises.mkdir(SESSION_DIR, { recursive: true });
+  await fs.promises.writeFile(dataPath(id), Buffer.alloc(0));
+  await run(
+    `INSERT INTO upload_sessions (id, user_id, course_id, assignment_id, lti, mime_type, bytes_received, status)
+     VALUES (?, ?, ?, ?, ?, ?, 0, 'open')`,
+    [id, lti.userId, lti.courseId, lti.assignmentId, JSON.stringify(lti), mimeType || 'application/octet-stream']
+  );
+  return describe(await get(`SELECT * FROM upload_sessions WHERE id = ?`, [id]));
+}
+
+async function find(id, userId) {
+  const session = await get(`SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?`, [id, userId]);
+  if (!session) {
+    throw new UploadSessionError('Upload session not found', 404);
+  }
+  return session;
+}
+
+async function status(id, userId) {
+  return describe(await find(id, userId));
+}
+
+// Bring the stored data of a session the caller has claimed in line with bytes_received.
+// Bytes past it are what a process that died mid-append left behind, and are cut off. A
+// missing or short file means the session was opened on another instance that does not share
+// UPLOAD_SESSION_DIR; the recorder then sends the whole recording instead.
+async function checkStoredData(session) {
+  let size = -1;
+  try {
+    ({ size } = await fs.promises.stat(dataPath(session.id)));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (size < session.bytes_received) {
+    throw new UploadSessionError('Upload session data is not available on this server', 404, describe(session));
+  }
+  if (size > session.bytes_received) {
+    await fs.promises.truncate(dataPath(session.id), session.bytes_received);
+  }
+}
+
+// Append a chunk that must start exactly where the stored data ends. The session is claimed
+// in the database first, so appends to it never overlap, on this instance or any other.
+async function appendChunk(id, userId, offset, chunk) {
+  const session = await find(id, userId);
+  if (session.status !== 'open') {
+    throw new UploadSessionError('Upload session is already closed', 409, describe(session));
+  }
+  if (offset !== session.bytes_received) {
+    throw new UploadSessionError(`Expected a chunk at offset ${session.bytes_received}`, 409, describe(session));
+  }
+  if (session.bytes_received + chunk.length > MAX_UPLOAD_BYTES) {
+    throw new UploadSessionError('Recording is too large', 413, describe(session));
+  }
+
+  const claimedAt = Date.now();
+  const { changes } = await run(
+    `UPDATE upload_sessions SET appending_since = ?
+     WHERE id = ? AND status = 'open' AND bytes_received = ? AND (appending_since IS NULL OR appending_since < ?)`,
+    [claimedAt, id, offset, claimedAt - APPEND_CLAIM_MS]
+  );
+  if (!changes) {
+    // Another append got there first, or the session moved on
+    const current = await find(id, userId);
+    throw new UploadSessionError(`Expected a chunk at offset ${current.bytes_received}`, 409, describe(current));
+  }
+
+  try {
+    await checkStoredData(session);
+    await fs.promises.appendFile(dataPath(id), chunk);
+  } catch (err) {
+    await run(`UPDATE upload_sessions SET appending_since = NULL WHERE id = ? AND appending_since = ?`, [id, claimedAt]);
+    throw err;
+  }
+  const done = await run(
+    `UPDATE upload_sessions SET bytes_received = ?, appending_since = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND appending_since = ?`,
+    [offset + chunk.length, id, claimedAt]
+  );
+  if (!done.changes) {
+    // The claim lapsed and another append took over; it cuts this chunk off again
+    const current = await find(id, userId);
+    throw new UploadSessionError(`Expected a chunk at offset ${current.bytes_received}`, 409, describe(current));
+  }
+  return describe({ ...session, bytes_received: offset + chunk.length });
+}
+
+async function sha256(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+}
+
+// Check the assembled file against what the client says it sent and claim the session
+// for finalizing. Resolves to { session, lti, file } where file is shaped like a multer
+// upload; the caller must then call finalized(), reopen() or reject().
+async function verify(id, userId, expectedSize, expectedSha256) {
+  const session = await find(id, userId);
+  // Claimed in the database, so no append or other finalize can run alongside it
+  const { changes } = await run(
+    `UPDATE upload_sessions SET status = 'finalizing', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'open' AND bytes_received = ? AND (appending_since IS NULL OR appending_since < ?)`,
+    [id, session.bytes_received, Date.now() - APPEND_CLAIM_MS]
+  );
+  if (!changes) {
+    throw new UploadSessionError('Upload session is not open', 409, describe(await find(id, userId)));
+  }
+
+  try {
+    const filePath = dataPath(id);
+    await checkStoredData(session);
+    const size = session.bytes_received;
+    if (size !== expectedSize) {
+      throw new UploadSessionError(`Received ${size} of ${expectedSize} bytes`, 409, describe(session));
+    }
+    if (expectedSha256 && (await sha256(filePath)) !== String(expectedSha256).toLowerCase()) {
+      throw new UploadSessionError('Uploaded data does not match the recording checksum', 422, describe(session));
+    }
+    return {
+      session,
+      lti: JSON.parse(session.lti),
+      file: { path: filePath, size, mimetype: session.mime_type }
+    };
+  } catch (err) {
+    await reopen(id);
+    throw err;
+  }
+}
+
+async function finalized(id, submissionId) {
+  await run(
+    `UPDATE upload_sessions SET status = 'finalized', submission_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [submissionId, id]
+  );
+  await fs.promises.unlink(dataPath(id)).catch(() => {});
+}
+
+// Finalizing failed for a reason a retry may fix; keep the data
+function reopen(id) {
+  return run(`UPDATE upload_sessions SET status = 'open', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+}
+
+// The assembled file is not usable audio; retrying will not help
+async function reject(id) {
+  await run(`UPDATE upload_sessions SET status = 'rejected', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+  await fs.promises.unlink(dataPath(id)).catch(() => {});
+}
+
+async function abandon(id, userId) {
+  const session = await find(id, userId);
+  if (session.status === 'open') {
+    await run(`UPDATE upload_sessions SET status = 'abandoned', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    await fs.promises.unlink(dataPath(id)).catch(() => {});
+  }
+}
+
+// Drop the data of sessions nobody has touched for a day, and of sessions a process died
+// while finalizing. The recorder sends the whole recording when its session has expired.
+async function purgeExpired() {
+  const stale = await all(
+    `SELECT id, status FROM upload_sessions
+     WHERE (status = 'open' AND updated_at < ?) OR (status = 'finalizing' AND updated_at < ?)`,
+    [secondsAgo(SESSION_TTL_HOURS * 60 * 60), secondsAgo(FINALIZE_TTL_HOURS * 60 * 60)]
+  );
+  for (const session of stale) {
+    await fs.promises.unlink(dataPath(session.id)).catch(() => {});
+    await run(`UPDATE upload_sessions SET status = 'expired' WHERE id = ? AND status = ?`, [session.id, session.status]);
+  }
+  return stale.length;
+}
+
+// A user's upload sessions, as stored
+function listForUser(userId) {
+  return all(`SELECT * FROM upload_sessions WHERE user_id = ? ORDER BY created_at`, [userId]);
+}
+
+// Delete a user's upload sessions and any data they still hold
+async function removeForUser(userId) {
+  const sessions = await listForUser(userId);
+  for (const session of sessions) {
+    await fs.promises.unlink(dataPath(session.id)).catch(() => {});
+  }
+  await run(`DELETE FROM upload_sessions WHERE user_id = ?`, [userId]);
+  return sessions.length;
+}
+
+module.exports = {
+  UploadSessionError,
+  create,
+  status,
+  appendChunk,
+  verify,
+  finalized,
+  reopen,
+  reject,
+  abandon,
+  purgeExpired,
+  listForUser,
+  removeForUser
+};
@@ -0,0 +1,186 @@
+// Streams recording chunks to an upload session while the student records, so a
+// dropped connection only delays the upload instead of losing the answer.
+class ChunkUploader {
+    constructor(mimeType, onStatusChange) {
+        this.mimeType = mimeType;
+        this.onStatusChange = onStatusChange || (() => {});
+        this.uploadId = null;
+        this.offset = 0;
+        this.queue = [];
+        this.flushing = null;
+        this.failed = false;
+        this.retryDelay = 1000;
+        this.ready = this.start();
+        // Failures surface through drain(); this only keeps the rejection from going unhandled
+        this.ready.catch(() => {});
+    }
+
+    async start() {
+        const response = await fetch('/upload-sessions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mimeType: this.mimeType })
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || 'Unable to start the upload');
+        }
+        const session = await response.json();
+        this.uploadId = session.uploadId;
+        this.offset = session.offset;
+    }
+
+    append(chunk) {
+        if (this.failed) return;
+        this.queue.push(chunk);
+        this.flush();
+    }
+
+    // Send queued chunks one at a time; the same promise is shared until the queue is empty
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drain() {
+        try {
+            await this.ready;
+        } catch (error) {
+            console.warn('Streaming upload unavailable:', error);
+            this.failed = true;
+            return;
+        }
+
+        while (this.queue.length && !this.failed) {
+            try {
+                if (await this.sendChunk(this.queue[0])) {
+                    this.queue.shift();
+                }
+                if (this.retryDelay > 1000) {
+                    this.onStatusChange('resumed');
+                }
+                this.retryDelay = 1000;
+            } catch (error) {
+                if (this.failed) return;
+                console.warn('Chunk upload failed, retrying:', error);
+                this.onStatusChange('offline');
+                await this.waitToRetry();
+                await this.resync();
+            }
+        }
+    }
+
+    // Resolves to true when the chunk was stored, false when the queue was realigned instead
+    async sendChunk(chunk) {
+        const response = await fetch(`/upload-sessions/${this.uploadId}/chunks?offset=${this.offset}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: chunk
+        });
+
+        if (response.status === 409) {
+            const session = await response.json();
+            if (session.status !== 'open') {
+                this.failed = true;
+                throw new Error('The upload session was closed');
+            }
+            if (session.offset === this.offset) {
+                // The previous chunk is still being written; give it a moment
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+            this.skipTo(session.offset);
+            return false;
+        }
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 404 || response.status === 413) {
+                this.failed = true;
+            }
+            throw new Error(result.error || `Chunk upload failed (HTTP ${response.status})`);
+        }
+
+        const session = await response.json();
+        this.offset = session.offset;
+        return true;
+    }
+
+    // Drop queued bytes the server already has, usually because a response was lost
+    skipTo(serverOffset) {
+        if (serverOffset < this.offset) {
+            this.failed = true;
+            throw new Error('The server lost part of the recording');
+        }
+        while (this.offset < serverOffset && this.queue.length) {
+            const chunk = this.queue[0];
+            const alreadySent = serverOffset - this.offset;
+            if (alreadySent >= chunk.size) {
+                this.queue.shift();
+                this.offset += chunk.size;
+            } else {
+                this.queue[0] = chunk.slice(alreadySent);
+                this.offset += alreadySent;
+            }
+        }
+    }
+
+    async resync() {
+        try {
+            const response = await fetch(`/upload-sessions/${this.uploadId}`);
+            if (response.ok) {
+                const session = await response.json();
+                this.skipTo(session.offset);
+            }
+        } catch (error) {
+            // Still offline; the next attempt will try again
+        }
+    }
+
+    // Wait for the browser to come back online, backing off up to 30 seconds
+    waitToRetry() {
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+        return new Promise(resolve => {
+            const done = () => {
+                window.removeEventListener('online', done);
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(done, delay);
+            window.addEventListener('online', done);
+        });
+    }
+
+    // Wait for every chunk, then ask the server to assemble and verify the recording
+    async finish(recording, metadata) {
+        await this.flush();
+        if (this.failed || this.queue.length) {
+            throw new Error('Streaming upload did not complete');
+        }
+
+        const response = await fetch(`/upload-sessions/${this.uploadId}/finalize`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ size: recording.size, sha256: await this.checksum(recording), metadata })
+        });
+        return response.json();
+    }
+
+    async checksum(recording) {
+        // crypto.subtle only exists on secure origins; the size check still applies without it
+        if (!window.crypto || !window.crypto.subtle) return null;
+        const digest = await window.crypto.subtle.digest('SHA-256', await recording.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    abandon() {
+        this.failed = true;
+        this.queue = [];
+        this.ready.then(() => {
+            fetch(`/upload-sessions/${this.uploadId}`, { method: 'DELETE' }).catch(() => {});
+        }, () => {});
+    }
+}
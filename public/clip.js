@@ -0,0 +1,23 @@
+// Player for clips embedded in Canvas pages through the editor button
+document.addEventListener('DOMContentLoaded', async () => {
+    const clipId = new URLSearchParams(window.location.search).get('id');
+    const title = document.getElementById('clipTitle');
+    const audio = document.getElementById('clipAudio');
+    const status = document.getElementById('status');
+
+    try {
+        const response = await fetch(`/clips/${encodeURIComponent(clipId)}`);
+        if (!response.ok) {
+            throw new Error('This clip is not available');
+        }
+        const clip = await response.json();
+        
+        title.textContent = clip.title || 'Audio clip';
+        audio.src = clip.audio_url;
+    } catch (error) {
+        console.error('Error loading clip:', error);
+        audio.hidden = true;
+        status.textContent = error.message;
+        status.className = 'status status-error';
+    }
+});
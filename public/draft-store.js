@@ -0,0 +1,120 @@
+// Keeps the recording in IndexedDB while it is made and until it is submitted, so a
+// crash, reload or accidental navigation does not lose it. One draft is kept per
+// user, course and assignment; chunks are stored individually as they arrive.
+class DraftStore {
+    static open(launch) {
+        if (!window.indexedDB || !launch.userId) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open('audio-recorder-drafts', 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('drafts', { keyPath: 'key' });
+                const chunks = db.createObjectStore('chunks', { autoIncrement: true });
+                chunks.createIndex('draftKey', 'draftKey');
+            };
+            request.onsuccess = () => {
+                const key = [launch.userId, launch.courseId, launch.assignmentId].join('|');
+                resolve(new DraftStore(request.result, key));
+            };
+            // Private browsing and locked-down profiles can refuse storage; recording still works
+            request.onerror = () => {
+                console.warn('Drafts unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    constructor(db, key) {
+        this.db = db;
+        this.key = key;
+        this.draft = null;
+    }
+
+    transaction(stores, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, 'readwrite');
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            work(tx, (value) => { result = value; });
+        });
+    }
+
+    // Resolves to { draft, blob } for a saved recording, or null when there is none
+    load() {
+        return this.transaction(['drafts', 'chunks'], (tx, done) => {
+            const draftRequest = tx.objectStore('drafts').get(this.key);
+            const chunkRequest = tx.objectStore('chunks').index('draftKey').getAll(this.key);
+            chunkRequest.onsuccess = () => {
+                const draft = draftRequest.result;
+                const chunks = chunkRequest.result.map(chunk => chunk.data);
+                if (draft && chunks.length) {
+                    done({ draft, blob: new Blob(chunks, { type: draft.mimeType }) });
+                } else {
+                    done(null);
+                }
+            };
+        });
+    }
+
+    // Start a new draft, replacing any earlier one for this assignment. Chunks can be
+    // appended straight away; their transactions queue behind this one.
+    begin(mimeType) {
+        this.draft = {
+            key: this.key,
+            status: 'recording',
+            mimeType,
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            duration: 0,
+            metadata: null
+        };
+        const draft = this.draft;
+        return this.transaction(['drafts', 'chunks'], (tx) => {
+            this.deleteChunks(tx);
+            tx.objectStore('drafts').put(draft);
+        });
+    }
+
+    // Chunks are written in order: IndexedDB runs overlapping write transactions in the order they were created
+    appendChunk(chunk, duration, metadata) {
+        if (!this.draft) return Promise.resolve();
+        this.draft.updatedAt = Date.now();
+        this.draft.duration = duration;
+        this.draft.metadata = metadata;
+        return this.transaction(['drafts', 'chunks'], (tx) => {
+            tx.objectStore('chunks').add({ draftKey: this.key, data: chunk });
+            tx.objectStore('drafts').put(this.draft);
+        });
+    }
+
+    markStopped(duration, metadata) {
+        if (!this.draft) return Promise.resolve();
+        this.draft.status = 'stopped';
+        this.draft.updatedAt = Date.now();
+        this.draft.duration = duration;
+        this.draft.metadata = metadata;
+        return this.transaction(['drafts'], (tx) => {
+            tx.objectStore('drafts').put(this.draft);
+        });
+    }
+
+    discard() {
+        this.draft = null;
+        return this.transaction(['drafts', 'chunks'], (tx) => {
+            tx.objectStore('drafts').delete(this.key);
+            this.deleteChunks(tx);
+        });
+    }
+
+    deleteChunks(tx) {
+        const chunks = tx.objectStore('chunks');
+        chunks.index('draftKey').getAllKeys(this.key).onsuccess = (event) => {
+            event.target.result.forEach(chunkKey => chunks.delete(chunkKey));
+        };
+    }
+}
@@ -0,0 +1,552 @@
+class GradingWorkspace {
+    constructor() {
+        this.pointsPossible = null;
+        this.submissions = [];
+        this.query = '';
+        this.searchTimer = null;
+        // One recorder serves every submission; it is created when feedback is first recorded
+        this.recorder = null;
+        this.feedbackSubmissionId = null;
+        // The submission open in the review player, kept open when the list is redrawn
+        this.reviewingId = null;
+        this.passbackTimer = null;
+        
+        this.gradingList = document.getElementById('gradingList');
+        this.status = document.getElementById('status');
+        this.settingsForm = document.getElementById('settingsForm');
+        this.settingsSummary = document.getElementById('settingsSummary');
+        this.searchInput = document.getElementById('searchInput');
+        this.exportLinks = document.getElementById('exportLinks');
+        this.feedbackPanel = document.getElementById('feedbackPanel');
+        this.feedbackTarget = document.getElementById('feedbackTarget');
+        
+        this.gradingList.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveGrade(event.target);
+        });
+        this.gradingList.addEventListener('click', (event) => {
+            const segment = event.target.closest('.transcript-segment');
+            const recordFeedback = event.target.closest('.record-feedback');
+            const deleteFeedback = event.target.closest('.delete-feedback');
+            const review = event.target.closest('.review-toggle');
+            const retry = event.target.closest('.retry-passback');
+            if (retry) {
+                this.retryPassback(retry.dataset.jobId);
+            } else if (review) {
+                this.toggleReview(review.closest('.grading-item').dataset.submissionId);
+            } else if (segment) {
+                this.seek(segment);
+            } else if (recordFeedback) {
+                this.openFeedbackRecorder(recordFeedback.closest('.grading-item').dataset.submissionId);
+            } else if (deleteFeedback) {
+                this.deleteFeedback(deleteFeedback.dataset.feedbackId);
+            }
+        });
+        document.getElementById('feedbackCloseBtn').addEventListener('click', () => this.closeFeedbackRecorder());
+        document.addEventListener('recordingsubmitted', () => {
+            this.showStatus('✅ Feedback sent. The student will hear it under their submission.', 'success');
+            this.loadSubmissions();
+        });
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.query = this.searchInput.value.trim();
+                this.loadSubmissions();
+            }, 300);
+        });
+        this.settingsForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSettings();
+        });
+        
+        this.loadSubmissions();
+        this.loadSettings();
+    }
+
+    async loadSettings() {
+        try {
+            const response = await fetch('/grading/settings');
+            if (!response.ok) {
+                throw new Error('Failed to load recording rules');
+            }
+            this.renderSettings(await response.json());
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.settingsSummary.textContent = 'Unable to load recording rules';
+        }
+    }
+
+    renderSettings({ saved, effective }) {
+        const fields = this.settingsForm.elements;
+        const values = saved || {};
+        ['maxDuration', 'minDuration', 'maxAttempts', 'prepSeconds'].forEach(name => {
+            fields[name].value = values[name] || '';
+        });
+        ['oneTake', 'allowFileUpload'].forEach(name => {
+            fields[name].value = values[name] === null || values[name] === undefined ? '' : String(values[name]);
+        });
+        fields.backgroundPolicy.value = values.backgroundPolicy || '';
+        
+        this.settingsSummary.textContent = 'In force: ' + this.describeRules(effective);
+    }
+
+    describeRules(rules) {
+        const parts = [];
+        parts.push(rules.maxDuration ? `up to ${this.formatDuration(rules.maxDuration)}` : 'no time limit');
+        if (rules.minDuration) parts.push(`at least ${this.formatDuration(rules.minDuration)}`);
+        parts.push(rules.maxAttempts ? `${rules.maxAttempts} attempt${rules.maxAttempts === 1 ? '' : 's'}` : 'unlimited attempts');
+        if (rules.prepSeconds) parts.push(`${rules.prepSeconds}s preparation`);
+        if (rules.oneTake) parts.push('one take');
+        if (rules.allowFileUpload) parts.push('audio files accepted');
+        parts.push(`leaving the tab ${{ pause: 'pauses', continue: 'keeps recording', stop: 'stops' }[rules.backgroundPolicy]}`);
+        return parts.join(' · ');
+    }
+
+    async saveSettings() {
+        const fields = this.settingsForm.elements;
+        const button = this.settingsForm.querySelector('button[type="submit"]');
+        const values = {};
+        ['maxDuration', 'minDuration', 'maxAttempts', 'prepSeconds', 'oneTake', 'backgroundPolicy', 'allowFileUpload'].forEach(name => {
+            values[name] = fields[name].value || null;
+        });
+
+        try {
+            button.disabled = true;
+            this.showStatus('Saving recording rules...', 'info');
+
+            const response = await fetch('/grading/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(values)
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Saving recording rules failed');
+            }
+            this.renderSettings(result);
+            this.showStatus('✅ ' + result.message, 'success');
+        } catch (error) {
+            console.error('Settings error:', error);
+            this.showStatus('❌ ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async loadSubmissions() {
+        try {
+            const url = this.query ? `/grading/submissions?q=${encodeURIComponent(this.query)}` : '/grading/submissions';
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error('Failed to load submissions');
+            }
+            const result = await response.json();
+            
+            this.pointsPossible = result.pointsPossible;
+            this.submissions = result.submissions;
+            this.exportLinks.hidden = !result.canExport;
+            this.renderSubmissions();
+        } catch (error) {
+            console.error('Error loading submissions:', error);
+            this.gradingList.innerHTML = '<p>Unable to load submissions</p>';
+        }
+    }
+
+    renderSubmissions() {
+        if (this.submissions.length === 0) {
+            this.gradingList.innerHTML = this.query
+                ? '<p>No submissions match your search.</p>'
+                : '<p>No students have submitted yet.</p>';
+            return;
+        }
+
+        const maxScore = this.pointsPossible || 100;
+        const scoreLabel = this.pointsPossible ? `Score (out of ${maxScore})` : 'Score (%)';
+
+        this.gradingList.innerHTML = this.submissions.map(submission => `
+            <form class="submission-item grading-item" data-submission-id="${this.escape(submission.id)}">
+                <div class="submission-info">
+                    <div>
+                        <div class="submission-student">
+                            ${this.escape(submission.user_name || submission.user_id)}
+                        </div>
+                        <div class="submission-date">
+                            ${new Date(submission.created_at).toLocaleString()}
+                        </div>
+                        <div class="submission-size">
+                            ${this.formatDuration(submission.duration)} · ${this.formatFileSize(submission.file_size)}
+                        </div>
+                        <div class="submission-meta">
+                            ${this.escape(this.describeRecording(submission.recording_metadata))}
+                        </div>
+                    </div>
+                    <audio class="audio-player" controls preload="none" src="${this.escape(submission.audio_url)}"></audio>
+                </div>
+                <div class="review-slot"></div>
+                ${this.renderTranscript(submission.transcript)}
+                ${this.renderFeedback(submission.feedback || [])}
+                <div class="grading-fields">
+                    <label>
+                        ${scoreLabel}
+                        <input type="number" name="score" min="0" max="${maxScore}" step="any" required
+                            value="${submission.score !== null ? submission.score : ''}">
+                    </label>
+                    <label class="grading-comment">
+                        Comment
+                        <textarea name="comment" rows="2">${this.escape(submission.grader_comment || '')}</textarea>
+                    </label>
+                    <button type="submit" class="btn btn-success">💾 Save Grade</button>
+                    <button type="button" class="btn btn-primary record-feedback">🎙️ Record Feedback</button>
+                    <button type="button" class="btn btn-secondary review-toggle">
+                        🔍 Review${submission.comment_count ? ` (${submission.comment_count} comment${submission.comment_count === 1 ? '' : 's'})` : ''}
+                    </button>
+                </div>
+                <div class="grading-state">
+                    ${this.describeGradeState(submission)}
+                </div>
+            </form>
+        `).join('');
+
+        if (this.reviewingId) {
+            this.openReview(this.reviewingId);
+        }
+        this.watchPassback();
+    }
+
+    // While grades are on their way to Canvas, refresh their state in place so that
+    // scores being typed into other rows are not lost to a redraw
+    watchPassback() {
+        clearTimeout(this.passbackTimer);
+        const inFlight = this.submissions.some(submission =>
+            submission.passback && ['pending', 'sending'].includes(submission.passback.status));
+        if (inFlight) {
+            this.passbackTimer = setTimeout(() => this.refreshPassback(), 5000);
+        }
+    }
+
+    async refreshPassback() {
+        try {
+            const response = await fetch('/grading/passback');
+            if (!response.ok) {
+                throw new Error('Failed to load grade passback status');
+            }
+            // Newest first, so the first job seen for a submission is its latest
+            const latest = {};
+            (await response.json()).forEach(job => {
+                latest[job.submissionId] = latest[job.submissionId] || job;
+            });
+
+            this.submissions.forEach(submission => {
+                if (!latest[submission.id]) return;
+                submission.passback = latest[submission.id];
+                const item = Array.from(this.gradingList.querySelectorAll('.grading-item'))
+                    .find(form => form.dataset.submissionId === submission.id);
+                if (item) {
+                    item.querySelector('.grading-state').innerHTML = this.describeGradeState(submission);
+                }
+            });
+        } catch (error) {
+            console.error('Error refreshing grade passback:', error);
+        }
+        this.watchPassback();
+    }
+
+    async retryPassback(jobId) {
+        try {
+            const response = await fetch(`/grading/passback/${encodeURIComponent(jobId)}/retry`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Retrying failed');
+            }
+            this.showStatus(result.message, 'info');
+            this.refreshPassback();
+        } catch (error) {
+            console.error('Passback retry error:', error);
+            this.showStatus('❌ ' + error.message, 'error');
+        }
+    }
+
+    // One submission at a time opens in the waveform review player
+    toggleReview(submissionId) {
+        const open = this.reviewingId === submissionId;
+        this.closeReview();
+        if (!open) {
+            this.openReview(submissionId);
+        }
+    }
+
+    openReview(submissionId) {
+        const item = Array.from(this.gradingList.querySelectorAll('.grading-item'))
+            .find(form => form.dataset.submissionId === submissionId);
+        if (!item) {
+            this.reviewingId = null;
+            return;
+        }
+        this.reviewingId = submissionId;
+        new ReviewPlayer(item.querySelector('.review-slot'), submissionId, {
+            editable: true,
+            onError: message => this.showStatus('❌ ' + message, 'error')
+        });
+    }
+
+    closeReview() {
+        this.gradingList.querySelectorAll('.review-slot').forEach(slot => {
+            slot.innerHTML = '';
+        });
+        this.reviewingId = null;
+    }
+
+    // Searching opens the transcripts so the matches are visible
+    renderTranscript(transcript) {
+        if (!transcript) return '';
+
+        if (transcript.status !== 'done') {
+            const states = { queued: 'Transcript queued', processing: 'Transcribing...', failed: 'Transcript unavailable' };
+            return `<div class="transcript transcript-pending">${states[transcript.status] || ''}</div>`;
+        }
+        if (!transcript.segments.length) {
+            return '<div class="transcript transcript-pending">No speech was recognised</div>';
+        }
+
+        const segments = transcript.segments.map(segment => `
+            <p>
+                <button type="button" class="transcript-segment" data-start="${segment.start}">
+                    ${this.formatTimestamp(segment.start)}
+                </button>
+                ${this.highlight(segment.text)}
+            </p>
+        `).join('');
+        return `
+            <details class="transcript"${this.query ? ' open' : ''}>
+                <summary>Transcript${transcript.language ? ` (${this.escape(transcript.language)})` : ''}</summary>
+                ${segments}
+            </details>
+        `;
+    }
+
+    renderFeedback(clips) {
+        if (clips.length === 0) return '';
+
+        return `
+            <div class="feedback-clips">
+                ${clips.map(clip => `
+                    <div class="feedback-clip">
+                        <div class="feedback-label">
+                            💬 Feedback${clip.author_name ? ` from ${this.escape(clip.author_name)}` : ''} ·
+                            ${new Date(clip.created_at).toLocaleString()} · ${this.formatDuration(clip.duration)}
+                        </div>
+                        <audio class="audio-player" controls preload="none" src="${this.escape(clip.audio_url)}"></audio>
+                        <button type="button" class="btn btn-secondary delete-feedback"
+                            data-feedback-id="${this.escape(clip.id)}">🗑️ Delete</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Point the shared recorder at a submission; its uploads become feedback on that submission
+    openFeedbackRecorder(submissionId) {
+        if (this.recorder && this.recorder.isRecording) {
+            this.showStatus('Stop the current recording before choosing another submission.', 'error');
+            return;
+        }
+
+        const switching = this.recorder && submissionId !== this.feedbackSubmissionId;
+        if (switching && this.recorder.audioChunks.length &&
+            !confirm('Discard the feedback you recorded but have not sent?')) {
+            return;
+        }
+
+        const submission = this.submissions.find(item => item.id === submissionId);
+        this.feedbackTarget.textContent = `Feedback for ${submission.user_name || submission.user_id}`;
+        this.feedbackPanel.hidden = false;
+        this.feedbackPanel.scrollIntoView({ behavior: 'smooth' });
+
+        // The recorder sizes its visualizer on creation, so it waits until the panel is visible
+        if (!this.recorder) {
+            this.recorder = new AudioRecorder();
+        } else if (switching) {
+            this.recorder.resetRecorder();
+        }
+        this.feedbackSubmissionId = submissionId;
+        this.recorder.uploadUrl = `/grading/submissions/${encodeURIComponent(submissionId)}/feedback`;
+    }
+
+    closeFeedbackRecorder() {
+        if (this.recorder && this.recorder.isRecording) {
+            this.recorder.stopRecording();
+        }
+        this.feedbackPanel.hidden = true;
+    }
+
+    async deleteFeedback(feedbackId) {
+        if (!confirm('Delete this feedback? The student will no longer hear it.')) return;
+
+        try {
+            const response = await fetch(`/grading/feedback/${encodeURIComponent(feedbackId)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Deleting feedback failed');
+            }
+            this.showStatus('✅ ' + result.message, 'success');
+            this.loadSubmissions();
+        } catch (error) {
+            console.error('Feedback delete error:', error);
+            this.showStatus('❌ ' + error.message, 'error');
+        }
+    }
+
+    // Play the submission's recording from the clicked transcript line
+    seek(segment) {
+        const player = segment.closest('.grading-item').querySelector('audio');
+        player.currentTime = Number(segment.dataset.start);
+        player.play();
+    }
+
+    highlight(text) {
+        const escaped = this.escape(text);
+        if (!this.query) return escaped;
+        const pattern = this.escape(this.query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escaped.replace(new RegExp(pattern, 'gi'), match => `<mark>${match}</mark>`);
+    }
+
+    // How the recording was made: pauses, time away from the tab and the policy that applied,
+    // or that it was a file the student uploaded
+    describeRecording(metadata) {
+        if (!metadata) return '';
+
+        const policies = { pause: 'pauses', continue: 'keeps recording', stop: 'stops' };
+        const notes = [];
+        if (metadata.uploadedFile) {
+            notes.push('Uploaded from an audio file, not recorded here');
+        } else if (metadata.pauses.length) {
+            const pausedFor = metadata.pauses.reduce((total, pause) => total + pause.duration, 0);
+            const backgroundPauses = metadata.pauses.filter(pause => pause.reason === 'background').length;
+            notes.push(`Paused ${metadata.pauses.length} time${metadata.pauses.length === 1 ? '' : 's'} ` +
+                `for ${this.formatDuration(pausedFor)}` +
+                (backgroundPauses ? ` (${backgroundPauses} on leaving the tab)` : ''));
+        } else {
+            notes.push('Recorded without pausing');
+        }
+        if (metadata.backgroundTime) {
+            notes.push(`${this.formatDuration(metadata.backgroundTime)} recorded with the tab in the background`);
+        }
+        if (metadata.stoppedInBackground) {
+            notes.push('Stopped on leaving the tab');
+        }
+        if (metadata.recoveredDraft) {
+            notes.push('Recovered from a saved draft');
+        }
+        if (metadata.trim) {
+            notes.push(`Trimmed to ${this.formatDuration(Math.floor(metadata.trim.start))}–` +
+                `${this.formatDuration(Math.floor(metadata.trim.end))} of a ` +
+                `${this.formatDuration(Math.round(metadata.trim.originalDuration))} take`);
+        }
+        if (!metadata.uploadedFile) {
+            notes.push(`Leaving the tab ${policies[metadata.backgroundPolicy] || 'pauses'} the recording`);
+        }
+        return notes.join(' · ');
+    }
+
+    describeGradeState(submission) {
+        if (!submission.graded_at) {
+            return 'Not graded yet';
+        }
+        const graded = `Graded ${new Date(submission.graded_at).toLocaleString()}`;
+        if (!submission.can_pass_back) {
+            return `${graded} (not linked to the Canvas gradebook)`;
+        }
+        return `${graded} · ${this.describePassback(submission.passback)}`;
+    }
+
+    // Where the latest grade is on its way to the Canvas gradebook
+    describePassback(job) {
+        if (!job) {
+            return 'Not sent to Canvas';
+        }
+        switch (job.status) {
+            case 'sent':
+                return `✅ Sent to Canvas ${new Date(job.sentAt).toLocaleString()}`;
+            case 'failed':
+                return `❌ Sending to Canvas failed after ${job.attempts} attempts: ${this.escape(job.error)}
+                    <button type="button" class="btn btn-secondary retry-passback" data-job-id="${this.escape(job.id)}">
+                        🔁 Retry
+                    </button>`;
+            case 'pending':
+                if (job.attempts > 0) {
+                    return `⏳ Canvas did not accept the grade (${this.escape(job.error)}). ` +
+                        `Trying again at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`;
+                }
+                return '⏳ Sending to Canvas...';
+            default:
+                return '⏳ Sending to Canvas...';
+        }
+    }
+
+    async saveGrade(form) {
+        const submissionId = form.dataset.submissionId;
+        const button = form.querySelector('button[type="submit"]');
+
+        try {
+            button.disabled = true;
+            this.showStatus('Saving grade...', 'info');
+
+            const response = await fetch(`/grading/submissions/${encodeURIComponent(submissionId)}/grade`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    score: form.elements.score.value,
+                    comment: form.elements.comment.value
+                })
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Saving grade failed');
+            }
+            this.showStatus('✅ ' + result.message, 'success');
+        } catch (error) {
+            console.error('Grading error:', error);
+            this.showStatus('❌ ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+            this.loadSubmissions();
+        }
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === undefined || value === null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return 'Unknown length';
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    formatTimestamp(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60).toString().padStart(2, '0')}:${(whole % 60).toString().padStart(2, '0')}`;
+    }
+
+    formatFileSize(bytes) {
+        if (!bytes) return 'Unknown size';
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+    }
+
+    showStatus(message, type) {
+        this.status.textContent = message;
+        this.status.className = `status status-${type}`;
+    }
+}
+
+// Initialize the grading workspace when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.gradingWorkspace = new GradingWorkspace();
+});
@@ -0,0 +1,52 @@
+// The recorder's messages in the launch's language, from /i18n/messages (see locales/). The
+// server fills in English for anything a catalog lacks. t() returns the bare key until the
+// messages arrive, so code that shows text waits on I18n.ready; elements marked data-i18n
+// keep the English they were written with until then.
+const I18n = {
+    locale: document.documentElement.lang || 'en',
+    messages: {},
+
+    // A message with {name} placeholders filled in. A message that varies with a count is an
+    // object of plural forms ("one", "other", ...) chosen by params.count.
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (message && typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[form] || message.other;
+        }
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined ? match : String(params[name]));
+    },
+
+    // Translate the text of [data-i18n] elements and the accessible name of [data-i18n-label] ones
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (this.messages[element.dataset.i18n]) {
+                element.textContent = this.t(element.dataset.i18n);
+            }
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            if (this.messages[element.dataset.i18nLabel]) {
+                element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+            }
+        });
+    }
+};
+
+I18n.ready = fetch('/i18n/messages')
+    .then(response => {
+        if (!response.ok) throw new Error('Failed to load messages');
+        return response.json();
+    })
+    .then(({ locale, messages }) => {
+        I18n.locale = locale;
+        I18n.messages = messages;
+        document.documentElement.lang = locale;
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => I18n.apply());
+        } else {
+            I18n.apply();
+        }
+    })
+    .catch(error => console.warn('Unable to load translations:', error));
@@ -0,0 +1,99 @@
+class ContentPicker {
+    constructor() {
+        this.heading = document.getElementById('pickerHeading');
+        this.description = document.getElementById('pickerDescription');
+        this.assignmentForm = document.getElementById('assignmentForm');
+        this.clipSection = document.getElementById('clipSection');
+        this.clipTitle = document.getElementById('clipTitle');
+        this.status = document.getElementById('status');
+        
+        this.assignmentForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.select({
+                title: this.assignmentForm.elements.title.value,
+                prompt: this.assignmentForm.elements.prompt.value
+            });
+        });
+        
+        // The recorder uploads the clip; once stored it can be linked into the page
+        document.addEventListener('recordingsubmitted', (event) => {
+            this.select({ title: this.clipTitle.value, clipId: event.detail.clipId });
+        });
+        
+        this.loadMode();
+    }
+
+    async loadMode() {
+        try {
+            const response = await fetch('/launch-context');
+            if (!response.ok) {
+                throw new Error('Session expired. Please relaunch from Canvas.');
+            }
+            const context = await response.json();
+            
+            if (context.selectionMode === 'assignment') {
+                this.heading.textContent = 'New Audio Response Assignment';
+                this.description.textContent = 'Students will record their answer directly in Canvas';
+                this.assignmentForm.hidden = false;
+            } else {
+                this.heading.textContent = 'Record an Audio Clip';
+                this.description.textContent = 'Record a clip and insert it into the page';
+                this.clipSection.hidden = false;
+                new AudioRecorder();
+            }
+        } catch (error) {
+            console.error('Error loading selection mode:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async select(selection) {
+        try {
+            this.showStatus('Sending your selection to Canvas...', 'info');
+
+            const response = await fetch('/content-item/select', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(selection)
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Selection failed');
+            }
+            this.postToCanvas(result.action, result.params);
+        } catch (error) {
+            console.error('Selection error:', error);
+            this.showStatus('❌ ' + error.message, 'error');
+        }
+    }
+
+    // The signed response has to reach Canvas as a top-level form POST
+    postToCanvas(action, params) {
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = action;
+        
+        Object.keys(params).forEach(name => {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = params[name];
+            form.appendChild(input);
+        });
+        
+        document.body.appendChild(form);
+        form.submit();
+    }
+
+    showStatus(message, type) {
+        this.status.textContent = message;
+        this.status.className = `status status-${type}`;
+    }
+}
+
+// Initialize the picker when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.contentPicker = new ContentPicker();
+});
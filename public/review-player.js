@@ -0,0 +1,262 @@
+// Waveform player for reviewing a submission. Clicking the waveform seeks; comments are
+// pinned to moments in the recording and clicking one plays from there. Graders can add
+// comments at the current position and remove them.
+class ReviewPlayer {
+    constructor(container, submissionId, options = {}) {
+        this.container = container;
+        this.submissionId = submissionId;
+        this.editable = Boolean(options.editable);
+        this.onError = options.onError || (message => console.error(message));
+        this.comments = [];
+        this.peaks = null;
+        this.duration = 0;
+
+        this.render();
+        this.load();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="review-player">
+                <div class="waveform-container">
+                    <canvas class="waveform" height="100"></canvas>
+                </div>
+                <audio class="audio-player" controls preload="metadata"></audio>
+                ${this.editable ? `
+                    <div class="comment-form">
+                        <input type="text" class="comment-input" maxlength="1000"
+                            placeholder="Comment on this moment, e.g. a mispronunciation" aria-label="Comment">
+                        <button type="button" class="btn btn-primary comment-add">
+                            ➕ Comment at <span class="comment-time">00:00</span>
+                        </button>
+                    </div>
+                ` : ''}
+                <ol class="comment-list"></ol>
+            </div>
+        `;
+
+        this.canvas = this.container.querySelector('.waveform');
+        this.audio = this.container.querySelector('audio');
+        this.commentList = this.container.querySelector('.comment-list');
+        this.commentInput = this.container.querySelector('.comment-input');
+        this.commentTime = this.container.querySelector('.comment-time');
+
+        this.canvas.addEventListener('click', (event) => {
+            if (!this.duration) return;
+            const bounds = this.canvas.getBoundingClientRect();
+            this.audio.currentTime = (event.clientX - bounds.left) / bounds.width * this.duration;
+        });
+        ['timeupdate', 'seeked', 'loadedmetadata'].forEach(type => {
+            this.audio.addEventListener(type, () => {
+                if (!this.duration && isFinite(this.audio.duration)) {
+                    this.duration = this.audio.duration;
+                }
+                this.draw();
+                if (this.commentTime) {
+                    this.commentTime.textContent = this.formatTime(this.audio.currentTime);
+                }
+            });
+        });
+        this.commentList.addEventListener('click', (event) => {
+            const seek = event.target.closest('.comment-seek');
+            const remove = event.target.closest('.comment-delete');
+            if (seek) {
+                this.playFrom(Number(seek.dataset.offset));
+            } else if (remove) {
+                this.deleteComment(remove.dataset.commentId);
+            }
+        });
+
+        if (this.editable) {
+            this.container.querySelector('.comment-add').addEventListener('click', () => this.addComment());
+            // Enter adds the comment; inside the grading form it would otherwise save the grade
+            this.commentInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.addComment();
+                }
+            });
+        }
+
+        this.resizeHandler = () => this.draw();
+        window.addEventListener('resize', this.resizeHandler);
+    }
+
+    async load() {
+        try {
+            const response = await fetch(`/submission/${encodeURIComponent(this.submissionId)}`);
+            if (!response.ok) {
+                throw new Error('Unable to load the submission');
+            }
+            const submission = await response.json();
+
+            this.duration = submission.duration || 0;
+            this.comments = submission.comments || [];
+            this.audio.src = submission.audio_url;
+            this.renderComments();
+            this.draw();
+            await this.loadWaveform(submission.audio_url);
+        } catch (error) {
+            this.onError(error.message);
+        }
+    }
+
+    // Decode the recording and keep the loudest sample of each slice for drawing
+    async loadWaveform(audioUrl) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        const audioContext = new AudioContextClass();
+        try {
+            const response = await fetch(audioUrl);
+            const buffer = await audioContext.decodeAudioData(await response.arrayBuffer());
+            const samples = buffer.getChannelData(0);
+            const slices = 1000;
+            const sliceLength = Math.max(1, Math.floor(samples.length / slices));
+
+            this.peaks = [];
+            for (let i = 0; i < slices; i++) {
+                let peak = 0;
+                for (let j = i * sliceLength; j < Math.min((i + 1) * sliceLength, samples.length); j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+                this.peaks.push(peak);
+            }
+            this.duration = buffer.duration;
+            this.draw();
+        } catch (error) {
+            // Playback and comments still work without the waveform
+            console.warn('Unable to draw the waveform:', error);
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    draw() {
+        if (!this.canvas.isConnected) {
+            window.removeEventListener('resize', this.resizeHandler);
+            return;
+        }
+
+        this.canvas.width = this.canvas.offsetWidth;
+        const canvasCtx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const played = this.duration ? this.audio.currentTime / this.duration * width : 0;
+
+        canvasCtx.fillStyle = 'rgb(45, 55, 72)';
+        canvasCtx.fillRect(0, 0, width, height);
+
+        if (this.peaks) {
+            const barWidth = width / this.peaks.length;
+            this.peaks.forEach((peak, i) => {
+                const x = i * barWidth;
+                const barHeight = Math.max(1, peak * height);
+                canvasCtx.fillStyle = x < played ? '#667eea' : '#a0aec0';
+                canvasCtx.fillRect(x, (height - barHeight) / 2, Math.max(1, barWidth - 0.5), barHeight);
+            });
+        } else {
+            canvasCtx.fillStyle = '#a0aec0';
+            canvasCtx.fillRect(0, height / 2, width, 1);
+        }
+
+        if (!this.duration) return;
+
+        // Comment markers, then the playhead
+        canvasCtx.fillStyle = '#ed8936';
+        this.comments.forEach(comment => {
+            const x = comment.offset / this.duration * width;
+            canvasCtx.fillRect(x - 1, 0, 2, height);
+            canvasCtx.beginPath();
+            canvasCtx.moveTo(x - 6, 0);
+            canvasCtx.lineTo(x + 6, 0);
+            canvasCtx.lineTo(x, 8);
+            canvasCtx.fill();
+        });
+        canvasCtx.fillStyle = '#ffffff';
+        canvasCtx.fillRect(played - 1, 0, 2, height);
+    }
+
+    renderComments() {
+        if (this.comments.length === 0) {
+            this.commentList.innerHTML = this.editable
+                ? '<li class="comment-empty">No comments yet. Pause at a moment and add one.</li>'
+                : '';
+            return;
+        }
+
+        this.commentList.innerHTML = this.comments.map(comment => `
+            <li class="comment">
+                <button type="button" class="comment-seek" data-offset="${comment.offset}">
+                    ${this.formatTime(comment.offset)}
+                </button>
+                <span class="comment-body">${this.escape(comment.body)}</span>
+                ${comment.author_name ? `<span class="comment-author">— ${this.escape(comment.author_name)}</span>` : ''}
+                ${this.editable ? `
+                    <button type="button" class="comment-delete" data-comment-id="${this.escape(comment.id)}"
+                        aria-label="Delete comment">✖</button>
+                ` : ''}
+            </li>
+        `).join('');
+    }
+
+    playFrom(offset) {
+        this.audio.currentTime = offset;
+        this.audio.play().catch(error => this.onError('Playback failed: ' + error.message));
+    }
+
+    async addComment() {
+        const body = this.commentInput.value.trim();
+        if (!body) {
+            this.commentInput.focus();
+            return;
+        }
+
+        try {
+            const response = await fetch(`/grading/submissions/${encodeURIComponent(this.submissionId)}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ offset: this.audio.currentTime, body })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Saving the comment failed');
+            }
+
+            this.comments.push(result.comment);
+            this.comments.sort((a, b) => a.offset - b.offset);
+            this.commentInput.value = '';
+            this.renderComments();
+            this.draw();
+        } catch (error) {
+            this.onError(error.message);
+        }
+    }
+
+    async deleteComment(commentId) {
+        try {
+            const response = await fetch(`/grading/comments/${encodeURIComponent(commentId)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Deleting the comment failed');
+            }
+
+            this.comments = this.comments.filter(comment => comment.id !== commentId);
+            this.renderComments();
+            this.draw();
+        } catch (error) {
+            this.onError(error.message);
+        }
+    }
+
+    formatTime(seconds) {
+        const whole = Math.floor(seconds || 0);
+        return `${Math.floor(whole / 60).toString().padStart(2, '0')}:${(whole % 60).toString().padStart(2, '0')}`;
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === undefined || value === null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
@@ -1,35 +1,166 @@
+// Input levels in dBFS, where 0 is the loudest a microphone can record. Speech sits well
+// above quiet; below silent the microphone is most likely muted or the wrong one.
+const INPUT_LEVELS = { silent: -50, quiet: -35, loud: -6 };
+// A recording whose loudest sample is below this is refused; the server's SILENCE_THRESHOLD_DB
+// defaults to the same
+const SILENT_PEAK_DB = -60;
+// A sample this close to full scale has been clipped
+const CLIP_LEVEL = 0.99;
+// The live warnings look at the loudest moment in this many milliseconds
+const LEVEL_WINDOW_MS = 5000;
+const MICROPHONE_STORAGE_KEY = 'audio-recorder-microphone';
+// What MediaRecorder is asked for, best first: Chrome, Edge and Firefox do WebM/Opus, Safari
+// MP4/AAC, and some Firefox builds only Ogg. The server probes what actually arrives.
+const RECORDING_FORMATS = [
+    'audio/webm;codecs=opus',
+    'audio/webm',
+    'audio/mp4;codecs=mp4a.40.2',
+    'audio/mp4',
+    'audio/ogg;codecs=opus',
+    'audio/ogg'
+];
+// File extensions for the upload's name, by MIME type without parameters
+const RECORDING_EXTENSIONS = { 'audio/webm': 'webm', 'audio/mp4': 'm4a', 'audio/ogg': 'ogg', 'audio/wav': 'wav' };
+
+function toDecibels(level) {
+    return 20 * Math.log10(Math.max(level, 1e-6));
+}
+
 class AudioRecorder {
     constructor() {
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.isRecording = false;
+        this.isPaused = false;
         this.startTime = 0;
+        this.pausedTotal = 0;
+        this.pauseStartedAt = 0;
+        this.pauses = [];
+        // What happens when the student leaves the tab mid-recording: pause, continue or stop
+        this.backgroundPolicy = 'pause';
+        this.backgroundedAt = null;
+        this.backgroundTime = 0;
+        this.stoppedInBackground = false;
+        this.metadata = null;
+        // The assignment's recording rules and how many attempts the student has submitted
+        this.rules = null;
+        this.attemptsUsed = 0;
+        this.takeInProgress = false;
+        this.recordedSeconds = 0;
+        // The format takes are recorded in, and the type of the one in hand
+        this.recordingFormat = AudioRecorder.chooseFormat();
+        this.takeType = this.recordingFormat.mimeType;
+        this.canPause = this.recordingFormat.wav ||
+            (typeof MediaRecorder !== 'undefined' && typeof MediaRecorder.prototype.pause === 'function');
         this.timerInterval = null;
+        this.levelUpdatedAt = 0;
+        // The loudest level and sample since the meter last updated, and the readings behind the live warnings
+        this.levelSince = { rms: 0, peak: 0 };
+        this.levelHistory = [];
+        this.levelWarning = null;
         this.audioContext = null;
         this.analyser = null;
+        this.source = null;
         this.stream = null;
+        // Pages embedding the recorder can send recordings somewhere other than a submission
+        this.uploadUrl = document.body.dataset.uploadUrl || '/upload-audio';
+        // A file the student chose goes to its own route, which checks the assignment allows it
+        this.fileUploadUrl = '/upload-file';
+        // Stream chunks to the server while recording when the page supports it
+        this.streamUploads = document.body.dataset.streamUploads === 'true' && typeof ChunkUploader !== 'undefined';
+        this.uploader = null;
+        // Recordings are kept in IndexedDB until submitted when the page opts in
+        this.draftsEnabled = document.body.dataset.drafts === 'true' && typeof DraftStore !== 'undefined';
+        this.drafts = null;
+        this.savedDraft = null;
+        // Instructors recording feedback are not bound by the assignment's recording rules
+        this.rulesEnabled = document.body.dataset.recordingRules !== 'off';
+        // The finished take drawn on the visualizer with trim handles, where the page has the editor
+        this.editBuffer = null;
+        this.editPeaks = null;
+        this.trim = null;
+        this.draggingHandle = null;
         
         this.initializeElements();
         this.setupEventListeners();
         this.requestMicrophone();
     }
 
+    // The first format this browser's MediaRecorder can produce, or WAV recorded through Web
+    // Audio when it can produce none (or there is no MediaRecorder at all)
+    static chooseFormat() {
+        if (typeof MediaRecorder !== 'undefined' && typeof MediaRecorder.isTypeSupported === 'function') {
+            const mimeType = RECORDING_FORMATS.find(type => MediaRecorder.isTypeSupported(type));
+            if (mimeType) {
+                return { mimeType, wav: false };
+            }
+        }
+        return { mimeType: 'audio/wav', wav: true };
+    }
+
+    // A recorder for the current stream in the chosen format. A MediaRecorder that still refuses
+    // the format it claimed to support is replaced by WAV for the rest of the visit.
+    createRecorder() {
+        if (!this.recordingFormat.wav) {
+            try {
+                return new MediaRecorder(this.stream, { mimeType: this.recordingFormat.mimeType });
+            } catch (error) {
+                console.warn(`MediaRecorder cannot record ${this.recordingFormat.mimeType}, recording WAV instead:`, error);
+                this.recordingFormat = { mimeType: 'audio/wav', wav: true };
+            }
+        }
+        return new WavRecorder(this.stream, this.audioContext);
+    }
+
+    // The take as one Blob, typed as it was recorded
+    takeBlob() {
+        return new Blob(this.audioChunks, { type: this.takeType });
+    }
+
     initializeElements() {
         this.recordBtn = document.getElementById('recordBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
         this.stopBtn = document.getElementById('stopBtn');
         this.playBtn = document.getElementById('playBtn');
         this.submitBtn = document.getElementById('submitBtn');
+        this.submitLabel = null;
         this.audioPlayer = document.getElementById('audioPlayer');
         this.timer = document.getElementById('timer');
         this.status = document.getElementById('status');
         this.visualizer = document.getElementById('visualizer');
         this.submissionsList = document.getElementById('submissionsList');
+        this.prompt = document.getElementById('prompt');
+        this.rulesSummary = document.getElementById('rules');
+        this.draftNotice = document.getElementById('draftNotice');
+        this.draftMessage = document.getElementById('draftMessage');
+        this.draftPlayer = document.getElementById('draftPlayer');
+        this.trimEditor = document.getElementById('trimEditor');
+        this.trimInfo = document.getElementById('trimInfo');
+        this.trimResetBtn = document.getElementById('trimResetBtn');
+        this.trimStartInput = document.getElementById('trimStart');
+        this.trimEndInput = document.getElementById('trimEnd');
+        this.levelMeter = document.getElementById('levelMeter');
+        this.levelText = document.getElementById('levelText');
+        this.levelWarningText = document.getElementById('levelWarning');
+        this.micSelect = document.getElementById('micSelect');
+        this.fileUpload = document.getElementById('fileUpload');
+        this.fileInput = document.getElementById('fileInput');
+        this.chooseFileBtn = document.getElementById('chooseFileBtn');
+        this.editorEnabled = Boolean(this.trimEditor) && typeof encodeWav === 'function' &&
+            typeof OfflineAudioContext !== 'undefined';
         
         // Set visualizer dimensions
         this.setVisualizerSize();
         
-        // Load existing submissions
-        this.loadSubmissions();
+        // Load existing submissions, the assignment prompt and any saved draft
+        if (this.submissionsList) {
+            this.loadSubmissions();
+        }
+        this.loadLaunchContext();
+        
+        if (this.pauseBtn && !this.canPause) {
+            this.pauseBtn.hidden = true;
+        }
         
         // Store instance for global access
         window.audioRecorder = this;
@@ -42,31 +173,94 @@ class AudioRecorder {
     }
 
     async requestMicrophone() {
+        await I18n.ready;
         try {
-            this.stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    sampleRate: 44100,
-                    channelCount: 1
-                } 
+            // The microphone chosen last time, if it is still there
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: this.audioConstraints({ ideal: this.savedMicrophone() })
             });
             this.setupVisualizer();
-            this.recordBtn.disabled = false;
-            this.showStatus('Microphone ready! Click "Start Recording" to begin.', 'info');
+            this.recordBtn.disabled = !this.canRecord();
+            this.showStatus(I18n.t('status.micReady'), 'info');
+            this.loadMicrophones();
         } catch (err) {
-            this.showStatus('Error accessing microphone: ' + err.message, 'error');
+            this.showStatus(I18n.t('status.micError', { error: err.message }), 'error');
             console.error('Microphone access error:', err);
         }
     }
 
+    audioConstraints(deviceId) {
+        return {
+            echoCancellation: true,
+            noiseSuppression: true,
+            sampleRate: 44100,
+            channelCount: 1,
+            ...(deviceId && (deviceId.ideal || deviceId.exact) ? { deviceId } : {})
+        };
+    }
+
+    savedMicrophone() {
+        try {
+            return localStorage.getItem(MICROPHONE_STORAGE_KEY);
+        } catch (error) {
+            // Storage can be blocked in a third-party iframe; the default microphone is used
+            return null;
+        }
+    }
+
+    // List the microphones in the picker. Browsers only give their names once one may be used,
+    // so this runs after getUserMedia, and again whenever one is plugged in or removed.
+    async loadMicrophones() {
+        if (!this.micSelect || !navigator.mediaDevices.enumerateDevices) return;
+
+        try {
+            const devices = (await navigator.mediaDevices.enumerateDevices())
+                .filter(device => device.kind === 'audioinput' && device.deviceId);
+            const current = this.stream && this.stream.getAudioTracks()[0];
+            const currentId = current ? current.getSettings().deviceId : null;
+            this.micSelect.innerHTML = devices.map((device, i) => `
+                <option value="${this.escape(device.deviceId)}" ${device.deviceId === currentId ? 'selected' : ''}>
+                    ${this.escape(device.label || I18n.t('mic.unnamed', { number: i + 1 }))}
+                </option>
+            `).join('');
+            this.micSelect.closest('.mic-picker').hidden = devices.length === 0;
+        } catch (error) {
+            console.warn('Unable to list microphones:', error);
+        }
+    }
+
+    // Record from another microphone; only between takes, since a take has one stream
+    async switchMicrophone(deviceId) {
+        if (this.isRecording) return;
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: this.audioConstraints({ exact: deviceId })
+            });
+            if (this.stream) {
+                this.stream.getTracks().forEach(track => track.stop());
+            }
+            this.stream = stream;
+            this.connectSource();
+            try {
+                localStorage.setItem(MICROPHONE_STORAGE_KEY, deviceId);
+            } catch (error) {
+                // Not remembered for next time, but used now
+            }
+            const option = this.micSelect.selectedOptions[0];
+            this.showStatus(I18n.t('status.micSwitched', { name: option ? option.textContent.trim() : '' }), 'info');
+        } catch (error) {
+            console.error('Microphone switch error:', error);
+            this.showStatus(I18n.t('status.micSwitchError', { error: error.message }), 'error');
+        }
+        this.loadMicrophones();
+    }
+
     setupVisualizer() {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.analyser = this.audioContext.createAnalyser();
-            const source = this.audioContext.createMediaStreamSource(this.stream);
-            
-            source.connect(this.analyser);
+            this.connectSource();
             this.analyser.fftSize = 256;
             this.analyser.smoothingTimeConstant = 0.8;
             
@@ -76,6 +270,17 @@ class AudioRecorder {
         }
     }
 
+    // Feed the current microphone to the analyser, replacing the previous one
+    connectSource() {
+        if (!this.analyser) return;
+
+        if (this.source) {
+            this.source.disconnect();
+        }
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+    }
+
     drawVisualizer() {
         if (!this.analyser) return;
 
@@ -85,15 +290,21 @@ class AudioRecorder {
         const width = this.visualizer.width;
         const height = this.visualizer.height;
 
-        const draw = () => {
+        const draw = (now) => {
             requestAnimationFrame(draw);
             
             this.analyser.getByteFrequencyData(dataArray);
+            this.updateLevel(now || 0);
 
             // Clear canvas
             canvasCtx.fillStyle = 'rgb(0, 0, 0)';
             canvasCtx.fillRect(0, 0, width, height);
 
+            if (!this.isRecording && this.editPeaks) {
+                this.drawEditor(canvasCtx, width, height);
+                return;
+            }
+
             if (!this.isRecording) {
                 // Show idle state
                 canvasCtx.fillStyle = 'rgb(50, 50, 50)';
@@ -102,7 +313,7 @@ class AudioRecorder {
                 canvasCtx.textAlign = 'center';
                 canvasCtx.textBaseline = 'middle';
                 canvasCtx.font = '16px Arial';
-                canvasCtx.fillText('Click "Start Recording" to begin', width / 2, height / 2);
+                canvasCtx.fillText(I18n.t('visualizer.idle'), width / 2, height / 2);
                 return;
             }
 
@@ -129,11 +340,240 @@ class AudioRecorder {
         draw();
     }
 
+    // How loud the microphone is right now, from 0 to 1: the RMS and the peak of the latest samples
+    inputLevel() {
+        if (!this.analyser) return { rms: 0, peak: 0 };
+
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        let peak = 0;
+        for (const sample of samples) {
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        return { rms: Math.sqrt(sum / samples.length), peak };
+    }
+
+    // Measured every frame so no moment is missed; shown four times a second
+    updateLevel(now) {
+        const { rms, peak } = this.inputLevel();
+        this.levelSince.rms = Math.max(this.levelSince.rms, rms);
+        this.levelSince.peak = Math.max(this.levelSince.peak, peak);
+        if (now - this.levelUpdatedAt < 250) return;
+        this.levelUpdatedAt = now;
+
+        const decibels = toDecibels(this.levelSince.rms);
+        const clipped = this.levelSince.peak >= CLIP_LEVEL;
+        this.levelSince = { rms: 0, peak: 0 };
+        this.showLevel(decibels, clipped);
+        this.watchLevel(decibels, clipped, now);
+    }
+
+    // The visualizer's text equivalent: the level as a meter and a word. The meter shows
+    // decibels from -60 (empty) to 0 (full), which is how loudness is heard.
+    showLevel(decibels, clipped) {
+        if (!this.levelMeter) return;
+
+        const key = decibels < INPUT_LEVELS.silent ? 'level.silent'
+            : decibels < INPUT_LEVELS.quiet ? 'level.quiet'
+            : decibels > INPUT_LEVELS.loud || clipped ? 'level.loud'
+            : 'level.good';
+        this.levelMeter.value = Math.min(1, Math.max(0, 1 + decibels / 60));
+        this.levelMeter.setAttribute('aria-valuetext', I18n.t(key));
+        if (this.levelText.dataset.level !== key) {
+            this.levelText.dataset.level = key;
+            this.levelText.textContent = I18n.t(key);
+        }
+    }
+
+    // Warn while recording when nothing, or too little, has been heard for a few seconds, or
+    // when the input clips. Pauses and the gaps between sentences do not count.
+    watchLevel(decibels, clipped, now) {
+        if (!this.isRecording || this.isPaused) {
+            this.levelHistory = [];
+            this.setLevelWarning(null);
+            return;
+        }
+
+        this.levelHistory.push({ at: now, decibels, clipped });
+        this.levelHistory = this.levelHistory.filter(reading => now - reading.at <= LEVEL_WINDOW_MS);
+        const loudest = Math.max(...this.levelHistory.map(reading => reading.decibels));
+        const recentlyClipped = this.levelHistory.some(reading => reading.clipped && now - reading.at <= 2000);
+        const watchedLongEnough = now - this.levelHistory[0].at >= LEVEL_WINDOW_MS - 500;
+
+        this.setLevelWarning(recentlyClipped ? 'warning.clipping'
+            : !watchedLongEnough ? null
+            : loudest < INPUT_LEVELS.silent ? 'warning.silent'
+            : loudest < INPUT_LEVELS.quiet ? 'warning.quiet'
+            : null);
+    }
+
+    setLevelWarning(key) {
+        if (key === this.levelWarning) return;
+        this.levelWarning = key;
+        if (this.levelWarningText) {
+            this.levelWarningText.textContent = key ? I18n.t(key) : '';
+            this.levelWarningText.hidden = !key;
+        }
+    }
+
+    // The loudness of the take as it would be submitted: { peak, loudest } in dBFS (loudest is
+    // the loudest 50 ms) and the fraction of samples that clipped. Null when it cannot be decoded.
+    async measureTake() {
+        let buffer = this.editBuffer;
+        if (!buffer) {
+            if (!this.audioContext || !this.audioChunks.length) return null;
+            buffer = await this.audioContext.decodeAudioData(await this.takeBlob().arrayBuffer());
+        }
+
+        const samples = buffer.getChannelData(0);
+        const from = this.trim ? Math.floor(this.trim.start * buffer.sampleRate) : 0;
+        const to = this.trim ? Math.min(samples.length, Math.ceil(this.trim.end * buffer.sampleRate)) : samples.length;
+        const window = Math.max(1, Math.round(buffer.sampleRate * 0.05));
+        let peak = 0;
+        let loudest = 0;
+        let clipped = 0;
+        for (let start = from; start < to; start += window) {
+            const end = Math.min(to, start + window);
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                const value = Math.abs(samples[i]);
+                peak = Math.max(peak, value);
+                if (value >= CLIP_LEVEL) clipped++;
+                sum += value * value;
+            }
+            loudest = Math.max(loudest, Math.sqrt(sum / (end - start)));
+        }
+        return { peak: toDecibels(peak), loudest: toDecibels(loudest), clipped: clipped / Math.max(1, to - from) };
+    }
+
+    // The check before upload: a silent take is refused, and a very quiet or distorted one is
+    // only sent once the student confirms it
+    async checkQuality() {
+        let take;
+        try {
+            take = await this.measureTake();
+        } catch (error) {
+            // The server checks the recording again; not being able to decode it here is no reason to hold it back
+            console.warn('Unable to measure the recording:', error);
+            return true;
+        }
+        if (!take) return true;
+
+        if (take.peak < SILENT_PEAK_DB) {
+            this.showStatus(I18n.t('quality.silent'), 'error');
+            return false;
+        }
+        const problems = [];
+        if (take.loudest < INPUT_LEVELS.quiet) problems.push(I18n.t('quality.quiet'));
+        if (take.clipped > 0.001) problems.push(I18n.t('quality.clipped'));
+        return problems.length === 0 || confirm(I18n.t('confirm.quality', { problems: problems.join(' ') }));
+    }
+
+    // A button's label: its icon, hidden from screen readers, and its text in the page's language
+    setLabel(button, icon, key) {
+        button.innerHTML = `<span aria-hidden="true">${icon}</span> ${this.escape(I18n.t(key))}`;
+    }
+
+    // Keep keyboard focus on the controls when the focused one is disabled
+    keepFocus(button) {
+        const active = document.activeElement;
+        if ((!active || active === document.body || active.disabled) && !button.disabled && !button.hidden) {
+            button.focus();
+        }
+    }
+
+    // Alt+Shift+R, S, P and U press Record, Stop, Playback and Submit, when the button is
+    // showing and enabled
+    handleShortcut(event) {
+        if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return;
+
+        const button = {
+            KeyR: this.recordBtn,
+            KeyS: this.stopBtn,
+            KeyP: this.playBtn,
+            KeyU: this.submitBtn
+        }[event.code];
+        if (!button || button.disabled || button.hidden || !button.offsetParent) return;
+
+        event.preventDefault();
+        button.focus();
+        button.click();
+    }
+
     setupEventListeners() {
         this.recordBtn.addEventListener('click', () => this.startRecording());
-        this.stopBtn.addEventListener('click', () => this.stopRecording());
+        this.stopBtn.addEventListener('click', () => this.requestStop());
+        if (this.pauseBtn) {
+            this.pauseBtn.addEventListener('click', () => this.togglePause());
+        }
         this.playBtn.addEventListener('click', () => this.playRecording());
         this.submitBtn.addEventListener('click', () => this.submitRecording());
+        document.addEventListener('keydown', (event) => this.handleShortcut(event));
+        if (this.micSelect) {
+            this.micSelect.addEventListener('change', () => this.switchMicrophone(this.micSelect.value));
+            if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', () => this.loadMicrophones());
+            }
+        }
+        
+        // A recording made with another app, chosen or dropped, where the assignment accepts files
+        if (this.fileUpload) {
+            this.chooseFileBtn.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', () => {
+                if (this.fileInput.files.length) {
+                    this.useFile(this.fileInput.files[0]);
+                }
+                this.fileInput.value = '';
+            });
+            this.fileUpload.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                this.fileUpload.classList.add('dragging');
+            });
+            this.fileUpload.addEventListener('dragleave', () => this.fileUpload.classList.remove('dragging'));
+            this.fileUpload.addEventListener('drop', (event) => {
+                event.preventDefault();
+                this.fileUpload.classList.remove('dragging');
+                if (event.dataTransfer.files.length) {
+                    this.useFile(event.dataTransfer.files[0]);
+                }
+            });
+        }
+        
+        // Open the review player to hear an instructor's comments at their place in the recording
+        if (this.submissionsList) {
+            this.submissionsList.addEventListener('click', (event) => {
+                const review = event.target.closest('.review-toggle');
+                if (review) {
+                    this.toggleReview(review);
+                }
+            });
+        }
+        
+        if (this.editorEnabled) {
+            this.visualizer.addEventListener('pointerdown', (event) => this.startTrimDrag(event));
+            this.visualizer.addEventListener('pointermove', (event) => this.moveTrimHandle(event));
+            this.visualizer.addEventListener('pointerup', () => this.endTrimDrag());
+            this.visualizer.addEventListener('pointercancel', () => this.endTrimDrag());
+            this.trimResetBtn.addEventListener('click', () => this.resetTrim());
+            // The sliders do what the handles do, from the keyboard
+            this.trimStartInput.addEventListener('input', () => this.setTrimHandle('start', Number(this.trimStartInput.value)));
+            this.trimEndInput.addEventListener('input', () => this.setTrimHandle('end', Number(this.trimEndInput.value)));
+            // Playback of a trimmed take stops at the end handle
+            this.audioPlayer.addEventListener('timeupdate', () => {
+                if (this.isTrimmed() && this.audioPlayer.currentTime >= this.trim.end) {
+                    this.audioPlayer.pause();
+                }
+            });
+        }
+        
+        if (this.draftNotice) {
+            document.getElementById('draftRestoreBtn').addEventListener('click', () => this.restoreDraft());
+            document.getElementById('draftPreviewBtn').addEventListener('click', () => this.previewDraft());
+            document.getElementById('draftSubmitBtn').addEventListener('click', () => this.submitDraft());
+            document.getElementById('draftDiscardBtn').addEventListener('click', () => this.discardDraft());
+        }
         
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -144,122 +584,539 @@ class AudioRecorder {
         // Handle audio player events
         this.audioPlayer.addEventListener('loadedmetadata', () => {
             if (this.audioPlayer.duration) {
-                this.showStatus(`Recording duration: ${Math.round(this.audioPlayer.duration)} seconds`, 'info');
+                const count = Math.round(this.audioPlayer.duration);
+                this.showStatus(I18n.t('status.duration', { count }), 'info');
             }
         });
 
         this.audioPlayer.addEventListener('error', (e) => {
-            this.showStatus('Error playing audio', 'error');
+            this.showStatus(I18n.t('status.playError'), 'error');
         });
     }
 
-    startRecording() {
+    async startRecording() {
         if (!this.stream) {
-            this.showStatus('Microphone not available. Please refresh the page.', 'error');
+            this.showStatus(I18n.t('status.micUnavailable'), 'error');
+            return;
+        }
+        if (!this.canRecord()) return;
+        
+        if (this.savedDraft && !confirm(I18n.t('confirm.discardDraftForNew'))) {
+            return;
+        }
+        if (this.rules && this.rules.oneTake &&
+            !confirm(I18n.t('confirm.oneTake'))) {
+            return;
+        }
+
+        // Made before the take opens, so the upload session is told the format it really records
+        let recorder;
+        try {
+            recorder = this.createRecorder();
+        } catch (error) {
+            console.error('Start recording error:', error);
+            this.showStatus(I18n.t('status.startError', { error: error.message }), 'error');
             return;
         }
 
+        this.recordBtn.disabled = true;
+        if (!(await this.openTake(recorder.mimeType || this.recordingFormat.mimeType))) {
+            this.recordBtn.disabled = !this.canRecord();
+            return;
+        }
+        if (this.rules && this.rules.prepSeconds) {
+            await this.countdown(this.rules.prepSeconds);
+        }
+
         try {
             this.audioChunks = [];
-            this.mediaRecorder = new MediaRecorder(this.stream, {
-                mimeType: 'audio/webm;codecs=opus'
-            });
+            this.pauses = [];
+            this.pausedTotal = 0;
+            this.isPaused = false;
+            this.backgroundedAt = null;
+            this.backgroundTime = 0;
+            this.stoppedInBackground = false;
+            this.metadata = null;
+            this.closeEditor();
+            this.mediaRecorder = recorder;
+            this.takeType = this.mediaRecorder.mimeType || this.recordingFormat.mimeType;
+            
+            if (this.drafts) {
+                this.closeDraftNotice();
+                this.drafts.begin(this.takeType).catch(error => console.warn('Unable to save draft:', error));
+            }
             
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     this.audioChunks.push(event.data);
+                    if (this.uploader) {
+                        this.uploader.append(event.data);
+                    }
+                    if (this.drafts) {
+                        this.drafts.appendChunk(event.data, this.elapsedSeconds(), this.collectMetadata())
+                            .catch(error => console.warn('Unable to save draft:', error));
+                    }
                 }
             };
             
             this.mediaRecorder.onstop = () => {
-                const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
+                this.recordedSeconds = this.elapsedSeconds();
+                this.metadata = this.collectMetadata();
+                if (this.drafts) {
+                    this.drafts.markStopped(this.elapsedSeconds(), this.metadata)
+                        .catch(error => console.warn('Unable to save draft:', error));
+                }
+                
+                const audioBlob = this.takeBlob();
                 this.audioUrl = URL.createObjectURL(audioBlob);
                 this.audioPlayer.src = this.audioUrl;
                 this.playBtn.disabled = false;
-                this.submitBtn.disabled = false;
+                this.keepFocus(this.playBtn);
                 
-                this.showStatus('Recording completed! You can play it back or submit.', 'success');
+                if (!this.checkLength(this.recordedSeconds)) {
+                    this.showStatus(I18n.t('status.tooShort', { duration: this.formatDuration(this.rules.minDuration) }), 'error');
+                } else {
+                    this.showStatus(I18n.t(this.editorEnabled ? 'status.completedTrim' : 'status.completed'), 'success');
+                }
+                this.openEditor(audioBlob);
             };
 
             this.mediaRecorder.onerror = (event) => {
                 console.error('MediaRecorder error:', event.error);
-                this.showStatus('Recording error: ' + event.error, 'error');
+                this.showStatus(I18n.t('status.recordingError', { error: event.error }), 'error');
                 this.stopRecording();
             };
             
             this.mediaRecorder.start(100); // Collect data every 100ms
             this.isRecording = true;
+            if (this.micSelect) {
+                this.micSelect.disabled = true;
+            }
             this.startTimer();
             
             this.recordBtn.disabled = true;
             this.stopBtn.disabled = false;
+            if (this.pauseBtn) {
+                this.pauseBtn.disabled = false;
+            }
             this.playBtn.disabled = true;
             this.submitBtn.disabled = true;
+            this.keepFocus(this.stopBtn);
             
-            this.showStatus('Recording... Click "Stop Recording" when finished.', 'info');
+            this.showStatus(I18n.t('status.recording'), 'info');
         } catch (error) {
             console.error('Start recording error:', error);
-            this.showStatus('Error starting recording: ' + error.message, 'error');
+            this.showStatus(I18n.t('status.startError', { error: error.message }), 'error');
         }
     }
 
     stopRecording() {
         if (this.mediaRecorder && this.isRecording) {
             try {
+                if (this.isPaused) {
+                    this.endPause();
+                }
+                this.noteReturnFromBackground();
                 this.mediaRecorder.stop();
                 this.isRecording = false;
                 this.stopTimer();
+                this.setLevelWarning(null);
+                if (this.micSelect) {
+                    this.micSelect.disabled = false;
+                }
                 
-                this.recordBtn.disabled = false;
+                this.recordBtn.disabled = !this.canRecord();
                 this.stopBtn.disabled = true;
+                if (this.pauseBtn) {
+                    this.pauseBtn.disabled = true;
+                    this.setLabel(this.pauseBtn, '⏸️', 'button.pause');
+                }
             } catch (error) {
                 console.error('Stop recording error:', error);
-                this.showStatus('Error stopping recording', 'error');
+                this.showStatus(I18n.t('status.stopError'), 'error');
+            }
+        }
+    }
+
+    // Whether the rules let the student start a new recording now
+    canRecord() {
+        if (!this.rules) return true;
+        if (this.rules.maxAttempts && this.attemptsUsed >= this.rules.maxAttempts) return false;
+        return !(this.rules.oneTake && this.takeInProgress);
+    }
+
+    // Start streaming a new take recorded as mimeType. In one-take mode the server has to
+    // accept the take before recording begins, since it is what stops a second one.
+    async openTake(mimeType) {
+        // A new take replaces whatever the previous one streamed
+        if (this.uploader) {
+            this.uploader.abandon();
+        }
+        this.uploader = this.streamUploads
+            ? new ChunkUploader(mimeType, (state) => this.onUploadStateChange(state))
+            : null;
+
+        if (this.rules && this.rules.oneTake) {
+            try {
+                if (this.uploader) {
+                    await this.uploader.ready;
+                }
+            } catch (error) {
+                this.uploader = null;
+                this.showStatus(I18n.t('status.takeError', { error: error.message }), 'error');
+                return false;
+            }
+            this.takeInProgress = true;
+        }
+        return true;
+    }
+
+    countdown(seconds) {
+        return new Promise(resolve => {
+            let remaining = seconds;
+            const tick = () => {
+                if (remaining === 0) {
+                    clearInterval(interval);
+                    resolve();
+                    return;
+                }
+                this.timer.textContent = `-${this.formatDuration(remaining)}`;
+                this.showStatus(I18n.t('status.countdown', { count: remaining }), 'info');
+                remaining--;
+            };
+            const interval = setInterval(tick, 1000);
+            tick();
+        });
+    }
+
+    // The Stop button; automatic stops (time limit, background policy) skip the minimum length check
+    requestStop() {
+        const minDuration = this.rules && this.rules.minDuration;
+        if (minDuration && this.elapsedSeconds() < minDuration) {
+            if (this.rules.oneTake) {
+                this.showStatus(I18n.t('status.keepGoing', { duration: this.formatDuration(minDuration) }), 'error');
+                return;
+            }
+            if (!confirm(I18n.t('confirm.stopShort', { duration: this.formatDuration(minDuration) }))) {
+                return;
+            }
+        }
+        this.stopRecording();
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resumeRecording();
+        } else {
+            this.pauseRecording('manual');
+        }
+    }
+
+    pauseRecording(reason) {
+        if (!this.isRecording || this.isPaused || !this.canPause || this.mediaRecorder.state !== 'recording') return;
+
+        this.mediaRecorder.pause();
+        this.isPaused = true;
+        this.pauseStartedAt = Date.now();
+        this.pauses.push({ at: this.elapsedSeconds(), duration: 0, reason });
+        
+        if (this.pauseBtn) {
+            this.setLabel(this.pauseBtn, '▶️', 'button.resume');
+        }
+        this.setLabel(this.recordBtn, '⏸️', 'button.paused');
+        this.showStatus(I18n.t(reason === 'background' ? 'status.pausedBackground' : 'status.paused'), 'info');
+    }
+
+    resumeRecording() {
+        if (!this.isRecording || !this.isPaused) return;
+
+        this.mediaRecorder.resume();
+        this.endPause();
+        
+        if (this.pauseBtn) {
+            this.setLabel(this.pauseBtn, '⏸️', 'button.pause');
+        }
+        this.setLabel(this.recordBtn, '<span class="recording-indicator"></span>', 'button.recording');
+        this.showStatus(I18n.t('status.recording'), 'info');
+    }
+
+    // Close the open pause so the timer skips it
+    endPause() {
+        const pausedFor = Date.now() - this.pauseStartedAt;
+        this.pausedTotal += pausedFor;
+        this.pauses[this.pauses.length - 1].duration = Math.round(pausedFor / 1000);
+        this.isPaused = false;
+    }
+
+    handleVisibilityChange() {
+        if (!this.isRecording) return;
+
+        if (!document.hidden) {
+            this.noteReturnFromBackground();
+            return;
+        }
+
+        // Browsers without MediaRecorder.pause() fall back to stopping
+        const policy = this.backgroundPolicy === 'pause' && !this.canPause ? 'stop' : this.backgroundPolicy;
+        if (policy === 'pause') {
+            this.pauseRecording('background');
+        } else if (policy === 'continue') {
+            this.backgroundedAt = Date.now();
+        } else {
+            this.stoppedInBackground = true;
+            this.stopRecording();
+            this.showStatus(I18n.t('status.stoppedBackground'), 'info');
+        }
+    }
+
+    noteReturnFromBackground() {
+        if (this.backgroundedAt) {
+            this.backgroundTime += (Date.now() - this.backgroundedAt) / 1000;
+            this.backgroundedAt = null;
+        }
+    }
+
+    // Reported with the submission so instructors can see how the recording was made
+    collectMetadata() {
+        return {
+            backgroundPolicy: this.backgroundPolicy,
+            pauses: this.pauses.map(pause => ({ ...pause })),
+            backgroundTime: Math.round(this.backgroundTime),
+            stoppedInBackground: this.stoppedInBackground
+        };
+    }
+
+    // Enable Submit only when the recording, as it would be submitted, meets the minimum length
+    checkLength(seconds) {
+        const longEnough = !(this.rules && this.rules.minDuration && seconds < this.rules.minDuration);
+        this.submitBtn.disabled = !longEnough;
+        return longEnough;
+    }
+
+    // Decode the finished take and show it on the visualizer with trim handles at either end
+    async openEditor(blob) {
+        if (!this.editorEnabled || !this.audioContext) return;
+
+        try {
+            const buffer = await this.audioContext.decodeAudioData(await blob.arrayBuffer());
+            if (this.isRecording) return;
+
+            const samples = buffer.getChannelData(0);
+            const slices = 400;
+            const sliceLength = Math.max(1, Math.floor(samples.length / slices));
+            this.editPeaks = [];
+            for (let i = 0; i < slices; i++) {
+                let peak = 0;
+                for (let j = i * sliceLength; j < Math.min((i + 1) * sliceLength, samples.length); j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+                this.editPeaks.push(peak);
             }
+            this.editBuffer = buffer;
+            this.trim = { start: 0, end: buffer.duration };
+            [this.trimStartInput, this.trimEndInput].forEach(input => {
+                input.max = buffer.duration;
+            });
+            this.trimEditor.hidden = false;
+            this.visualizer.classList.add('editing');
+            this.updateTrim();
+        } catch (error) {
+            // Without the editor the take can still be played back and submitted whole
+            console.warn('Unable to open the trim editor:', error);
+        }
+    }
+
+    closeEditor() {
+        this.editBuffer = null;
+        this.editPeaks = null;
+        this.trim = null;
+        this.draggingHandle = null;
+        if (this.trimEditor) {
+            this.trimEditor.hidden = true;
+            this.visualizer.classList.remove('editing');
+        }
+    }
+
+    drawEditor(canvasCtx, width, height) {
+        const duration = this.editBuffer.duration;
+        const startX = this.trim.start / duration * width;
+        const endX = this.trim.end / duration * width;
+        const barWidth = width / this.editPeaks.length;
+
+        canvasCtx.fillStyle = 'rgb(26, 26, 26)';
+        canvasCtx.fillRect(0, 0, width, height);
+
+        this.editPeaks.forEach((peak, i) => {
+            const x = i * barWidth;
+            const barHeight = Math.max(1, peak * height);
+            canvasCtx.fillStyle = x >= startX && x <= endX ? '#667eea' : 'rgb(70, 70, 70)';
+            canvasCtx.fillRect(x, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+        });
+
+        // Handles, with a grip so they read as draggable
+        canvasCtx.fillStyle = '#e53e3e';
+        [startX, endX].forEach(x => {
+            canvasCtx.fillRect(x - 2, 0, 4, height);
+            canvasCtx.fillRect(x - 6, height / 2 - 12, 12, 24);
+        });
+
+        const playhead = this.audioPlayer.currentTime / duration * width;
+        canvasCtx.fillStyle = '#ffffff';
+        canvasCtx.fillRect(playhead - 1, 0, 2, height);
+    }
+
+    // Seconds into the take under the pointer
+    pointerTime(event) {
+        const bounds = this.visualizer.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width));
+        return fraction * this.editBuffer.duration;
+    }
+
+    startTrimDrag(event) {
+        if (!this.editBuffer || this.isRecording) return;
+
+        // Grab whichever handle is nearer the pointer
+        const time = this.pointerTime(event);
+        this.draggingHandle = Math.abs(time - this.trim.start) <= Math.abs(time - this.trim.end) ? 'start' : 'end';
+        this.visualizer.setPointerCapture(event.pointerId);
+        this.moveTrimHandle(event);
+    }
+
+    moveTrimHandle(event) {
+        if (!this.draggingHandle) return;
+
+        this.setTrimHandle(this.draggingHandle, this.pointerTime(event));
+    }
+
+    // Keep at least half a second between the handles
+    setTrimHandle(handle, time) {
+        if (!this.editBuffer) return;
+
+        if (handle === 'start') {
+            this.trim.start = Math.max(0, Math.min(time, this.trim.end - 0.5));
+            this.audioPlayer.currentTime = this.trim.start;
+        } else {
+            this.trim.end = Math.min(this.editBuffer.duration, Math.max(time, this.trim.start + 0.5));
         }
+        this.updateTrim();
+    }
+
+    endTrimDrag() {
+        this.draggingHandle = null;
+    }
+
+    resetTrim() {
+        if (!this.editBuffer) return;
+        this.trim = { start: 0, end: this.editBuffer.duration };
+        this.updateTrim();
+    }
+
+    updateTrim() {
+        const kept = this.trim.end - this.trim.start;
+        this.trimInfo.textContent = this.isTrimmed()
+            ? I18n.t('trim.keeping', {
+                start: this.formatDuration(Math.floor(this.trim.start)),
+                end: this.formatDuration(Math.floor(this.trim.end)),
+                kept: this.formatDuration(Math.round(kept)),
+                total: this.formatDuration(Math.round(this.editBuffer.duration))
+            })
+            : I18n.t('trim.hint');
+        this.trimStartInput.value = this.trim.start;
+        this.trimEndInput.value = this.trim.end;
+        this.trimStartInput.setAttribute('aria-valuetext', this.formatDuration(Math.floor(this.trim.start)));
+        this.trimEndInput.setAttribute('aria-valuetext', this.formatDuration(Math.floor(this.trim.end)));
+        this.trimResetBtn.disabled = !this.isTrimmed();
+        this.checkLength(Math.round(kept));
+    }
+
+    isTrimmed() {
+        return Boolean(this.trim) &&
+            (this.trim.start > 0.05 || this.trim.end < this.editBuffer.duration - 0.05);
+    }
+
+    // Cut the take to the handles and encode the result as WAV. Speech needs no more than
+    // 24 kHz, which keeps the file a quarter the size of 48 kHz.
+    async encodeTrimmed() {
+        const sampleRate = Math.min(this.editBuffer.sampleRate, 24000);
+        const length = this.trim.end - this.trim.start;
+        const context = new OfflineAudioContext(1, Math.ceil(length * sampleRate), sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = this.editBuffer;
+        source.connect(context.destination);
+        source.start(0, this.trim.start, length);
+        const rendered = await context.startRendering();
+        return encodeWav(rendered.getChannelData(0), sampleRate);
     }
 
     playRecording() {
+        if (this.isTrimmed() &&
+            (this.audioPlayer.currentTime < this.trim.start || this.audioPlayer.currentTime >= this.trim.end)) {
+            this.audioPlayer.currentTime = this.trim.start;
+        }
         if (this.audioPlayer.src) {
             this.audioPlayer.play().catch(err => {
-                this.showStatus('Playback failed: ' + err.message, 'error');
+                this.showStatus(I18n.t('status.playFailed', { error: err.message }), 'error');
             });
         }
     }
 
     async submitRecording() {
         if (!this.audioChunks.length) {
-            this.showStatus('No recording to submit', 'error');
+            this.showStatus(I18n.t('status.nothingToSubmit'), 'error');
+            return;
+        }
+        if (!(await this.checkQuality())) {
             return;
         }
 
-        const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
+        const trimmed = this.isTrimmed();
+        let audioBlob = this.takeBlob();
+        if (trimmed) {
+            try {
+                this.showStatus(I18n.t('status.trimming'), 'info');
+                audioBlob = await this.encodeTrimmed();
+            } catch (error) {
+                console.error('Trim error:', error);
+                this.showStatus(I18n.t('status.trimError', { error: error.message }), 'error');
+                return;
+            }
+        }
+        // Drop the trim an earlier attempt may have recorded if the handles have since been reset
+        const { trim, ...metadata } = this.metadata || this.collectMetadata();
+        this.metadata = trimmed
+            ? { ...metadata, trim: { start: this.trim.start, end: this.trim.end, originalDuration: this.editBuffer.duration } }
+            : metadata;
         
         // Check file size (50MB limit)
         if (audioBlob.size > 50 * 1024 * 1024) {
-            this.showStatus('Recording too large. Please record a shorter audio.', 'error');
+            this.showStatus(I18n.t('status.tooLarge'), 'error');
             return;
         }
 
-        const formData = new FormData();
-        formData.append('audio', audioBlob, 'recording.webm');
-
         try {
+            this.submitLabel = this.submitBtn.innerHTML;
             this.submitBtn.disabled = true;
-            this.submitBtn.innerHTML = '⏳ Submitting...';
-            this.showStatus('Submitting your recording...', 'info');
+            this.setLabel(this.submitBtn, '⏳', 'button.submitting');
+            this.showStatus(I18n.t('status.submitting'), 'info');
 
-            const response = await fetch('/upload-audio', {
-                method: 'POST',
-                body: formData
-            });
-
-            const result = await response.json();
+            const result = await this.uploadRecording(audioBlob, trimmed);
 
             if (result.success) {
-                this.showStatus('✅ Recording submitted successfully!', 'success');
+                this.uploader = null;
+                this.attemptsUsed++;
+                this.takeInProgress = false;
+                this.showRules();
+                this.recordBtn.disabled = !this.canRecord();
+                if (this.drafts) {
+                    this.drafts.discard().catch(error => console.warn('Unable to remove draft:', error));
+                }
+                this.showStatus(I18n.t('status.submitted'), 'success');
                 this.resetRecorder();
-                this.loadSubmissions(); // Refresh submissions list
+                this.keepFocus(this.recordBtn);
+                if (this.submissionsList) {
+                    this.loadSubmissions(); // Refresh submissions list
+                }
+                document.dispatchEvent(new CustomEvent('recordingsubmitted', { detail: result }));
                 
                 // Clear object URL to free memory
                 if (this.audioUrl) {
@@ -271,9 +1128,50 @@ class AudioRecorder {
             }
         } catch (error) {
             console.error('Submission error:', error);
-            this.showStatus('❌ Submission failed: ' + error.message, 'error');
+            this.showStatus(I18n.t('status.submitFailed', { error: error.message }), 'error');
             this.submitBtn.disabled = false;
-            this.submitBtn.innerHTML = '📤 Submit Recording';
+            this.submitBtn.innerHTML = this.submitLabel;
+            this.keepFocus(this.submitBtn);
+        }
+    }
+
+    // Finish the streamed upload if there is one, otherwise send the whole recording.
+    // A trimmed take no longer matches what was streamed, so it is always sent whole.
+    async uploadRecording(audioBlob, trimmed) {
+        if (this.uploader && trimmed) {
+            this.uploader.abandon();
+            this.uploader = null;
+        }
+        if (this.uploader && !this.uploader.failed) {
+            try {
+                const result = await this.uploader.finish(audioBlob, this.metadata || this.collectMetadata());
+                if (result.success) {
+                    return result;
+                }
+                console.warn('Streamed upload was not accepted:', result.error);
+            } catch (error) {
+                console.warn('Streamed upload failed, sending the whole recording:', error);
+            }
+        }
+
+        const metadata = this.metadata || this.collectMetadata();
+        const formData = new FormData();
+        const extension = RECORDING_EXTENSIONS[audioBlob.type.split(';')[0]] || 'bin';
+        formData.append('audio', audioBlob, `recording.${extension}`);
+        formData.append('metadata', JSON.stringify(metadata));
+
+        const response = await fetch(metadata.uploadedFile ? this.fileUploadUrl : this.uploadUrl, {
+            method: 'POST',
+            body: formData
+        });
+        return response.json();
+    }
+
+    onUploadStateChange(state) {
+        if (state === 'offline') {
+            this.showStatus(I18n.t('status.offline'), 'info');
+        } else if (state === 'resumed') {
+            this.showStatus(I18n.t('status.resumed'), 'info');
         }
     }
 
@@ -282,21 +1180,44 @@ class AudioRecorder {
         this.audioPlayer.src = '';
         this.playBtn.disabled = true;
         this.submitBtn.disabled = true;
-        this.submitBtn.innerHTML = '📤 Submit Recording';
+        if (this.submitLabel) {
+            this.submitBtn.innerHTML = this.submitLabel;
+        }
         this.timer.textContent = '00:00';
         this.isRecording = false;
+        this.isPaused = false;
+        this.metadata = null;
+        this.closeEditor();
+    }
+
+    // Recorded time so far, not counting pauses
+    elapsedSeconds() {
+        const pausedNow = this.isPaused ? Date.now() - this.pauseStartedAt : 0;
+        return Math.floor((Date.now() - this.startTime - this.pausedTotal - pausedNow) / 1000);
     }
 
     startTimer() {
         this.startTime = Date.now();
+        const maxDuration = this.rules && this.rules.maxDuration;
+        this.timer.textContent = maxDuration ? `00:00 / ${this.formatDuration(maxDuration)}` : '00:00';
         this.timerInterval = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
+            const elapsed = this.elapsedSeconds();
             const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
             const seconds = (elapsed % 60).toString().padStart(2, '0');
-            this.timer.textContent = `${minutes}:${seconds}`;
+            this.timer.textContent = maxDuration
+                ? `${minutes}:${seconds} / ${this.formatDuration(maxDuration)}`
+                : `${minutes}:${seconds}`;
+            
+            if (maxDuration && elapsed >= maxDuration) {
+                this.stopRecording();
+                this.showStatus(I18n.t('status.timeLimit'), 'info');
+                return;
+            }
             
             // Update recording indicator
-            this.recordBtn.innerHTML = `<span class="recording-indicator"></span>Recording...`;
+            if (!this.isPaused) {
+                this.setLabel(this.recordBtn, '<span class="recording-indicator"></span>', 'button.recording');
+            }
         }, 1000);
     }
 
@@ -305,10 +1226,11 @@ class AudioRecorder {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
-        this.recordBtn.innerHTML = '🎤 Start Recording';
+        this.setLabel(this.recordBtn, '🎤', 'button.record');
     }
 
     async loadSubmissions() {
+        await I18n.ready;
         try {
             const response = await fetch('/submissions');
             if (!response.ok) {
@@ -321,13 +1243,186 @@ class AudioRecorder {
             }
         } catch (error) {
             console.error('Error loading submissions:', error);
-            this.submissionsList.innerHTML = '<p>Unable to load submissions</p>';
+            this.submissionsList.innerHTML = `<p>${this.escape(I18n.t('submissions.loadError'))}</p>`;
+        }
+    }
+
+    async loadLaunchContext() {
+        await I18n.ready;
+        try {
+            const response = await fetch('/launch-context');
+            if (!response.ok) {
+                throw new Error('Failed to load launch details');
+            }
+            const context = await response.json();
+            
+            if (this.rulesEnabled) {
+                this.rules = context.rules;
+                this.attemptsUsed = context.attemptsUsed || 0;
+                this.backgroundPolicy = this.rules ? this.rules.backgroundPolicy : this.backgroundPolicy;
+                this.showRules();
+                if (this.fileUpload) {
+                    this.fileUpload.hidden = !(this.rules && this.rules.allowFileUpload);
+                }
+                if (this.stream && !this.isRecording) {
+                    this.recordBtn.disabled = !this.canRecord();
+                }
+            }
+            if (this.prompt && context.prompt) {
+                this.prompt.textContent = context.prompt;
+                this.prompt.hidden = false;
+            }
+            if (this.draftsEnabled) {
+                this.drafts = await DraftStore.open(context);
+                await this.offerDraft();
+            }
+        } catch (error) {
+            console.error('Error loading launch details:', error);
+        }
+    }
+
+    // Tell the student the assignment's limits before they start
+    showRules() {
+        if (!this.rules) return;
+
+        const parts = [];
+        if (this.rules.maxDuration) parts.push(I18n.t('rules.timeLimit', { duration: this.formatDuration(this.rules.maxDuration) }));
+        if (this.rules.minDuration) parts.push(I18n.t('rules.minLength', { duration: this.formatDuration(this.rules.minDuration) }));
+        if (this.rules.maxAttempts) parts.push(I18n.t('rules.attempts', { used: this.attemptsUsed, max: this.rules.maxAttempts }));
+        if (this.rules.prepSeconds) parts.push(I18n.t('rules.prep', { count: this.rules.prepSeconds }));
+        if (this.rules.oneTake) parts.push(I18n.t('rules.oneTake'));
+
+        if (this.rulesSummary) {
+            this.rulesSummary.textContent = parts.join(' · ');
+            this.rulesSummary.hidden = parts.length === 0;
         }
+        if (this.rules.maxAttempts && this.attemptsUsed >= this.rules.maxAttempts) {
+            this.showStatus(I18n.t('status.attemptsUsed'), 'info');
+        }
+    }
+
+    // Offer a recording left over from a crash, reload or a visit that ended without submitting
+    async offerDraft() {
+        if (!this.drafts || !this.draftNotice || this.isRecording || this.audioChunks.length) return;
+
+        this.savedDraft = await this.drafts.load();
+        if (!this.savedDraft) return;
+
+        const { draft } = this.savedDraft;
+        const params = { time: this.formatDate(draft.updatedAt), duration: this.formatDuration(draft.duration) };
+        this.draftMessage.textContent = I18n.t(draft.status === 'recording' ? 'draft.interrupted' : 'draft.unsubmitted', params);
+        this.draftNotice.hidden = false;
+    }
+
+    // Make the saved draft the current recording, ready to play back or submit
+    restoreDraft() {
+        if (!this.savedDraft) return;
+
+        const { draft, blob } = this.savedDraft;
+        this.closeDraftNotice();
+        this.audioChunks = [blob];
+        this.takeType = blob.type || this.recordingFormat.mimeType;
+        this.metadata = { ...(draft.metadata || this.collectMetadata()), recoveredDraft: true };
+        this.audioUrl = URL.createObjectURL(blob);
+        this.audioPlayer.src = this.audioUrl;
+        this.timer.textContent = this.formatDuration(draft.duration);
+        this.playBtn.disabled = false;
+        this.submitBtn.disabled = false;
+        this.showStatus(I18n.t('status.draftRestored'), 'success');
+        this.openEditor(blob);
+    }
+
+    // Make an audio file the student chose the current recording, ready to play back, trim or
+    // submit. The browser's idea of its type is only a first check; the server looks inside it.
+    useFile(file) {
+        if (this.isRecording) {
+            this.showStatus(I18n.t('status.fileWhileRecording'), 'error');
+            return;
+        }
+        if (!this.canRecord()) {
+            this.showStatus(I18n.t('status.attemptsUsed'), 'info');
+            return;
+        }
+        if (file.type && !/^(audio|video)\//.test(file.type)) {
+            this.showStatus(I18n.t('status.notAudio', { name: file.name }), 'error');
+            return;
+        }
+        if (file.size > 50 * 1024 * 1024) {
+            this.showStatus(I18n.t('status.fileTooLarge'), 'error');
+            return;
+        }
+        if (this.savedDraft && !confirm(I18n.t('confirm.discardDraftForFile'))) {
+            return;
+        }
+
+        // Whatever a take streamed so far is not what will be submitted
+        if (this.uploader) {
+            this.uploader.abandon();
+            this.uploader = null;
+        }
+        this.closeDraftNotice();
+        this.closeEditor();
+        if (this.audioUrl) {
+            URL.revokeObjectURL(this.audioUrl);
+        }
+        this.audioChunks = [file];
+        this.takeType = file.type;
+        this.metadata = { backgroundPolicy: this.backgroundPolicy, pauses: [], uploadedFile: true };
+        this.audioUrl = URL.createObjectURL(file);
+        this.audioPlayer.src = this.audioUrl;
+        this.timer.textContent = '00:00';
+        this.playBtn.disabled = false;
+        this.submitBtn.disabled = false;
+        this.keepFocus(this.playBtn);
+        this.showStatus(I18n.t('status.fileReady', { name: file.name }), 'success');
+        this.openEditor(file);
+    }
+
+    previewDraft() {
+        if (!this.savedDraft) return;
+
+        if (!this.draftPlayer.src) {
+            this.draftPlayer.src = URL.createObjectURL(this.savedDraft.blob);
+        }
+        this.draftPlayer.hidden = false;
+        this.draftPlayer.play().catch(err => {
+            this.showStatus(I18n.t('status.playFailed', { error: err.message }), 'error');
+        });
+    }
+
+    submitDraft() {
+        this.restoreDraft();
+        this.submitRecording();
+    }
+
+    async discardDraft() {
+        if (!confirm(I18n.t('confirm.discardDraft'))) return;
+
+        this.closeDraftNotice();
+        try {
+            await this.drafts.discard();
+            this.showStatus(I18n.t('status.draftDiscarded'), 'info');
+        } catch (error) {
+            console.error('Error discarding draft:', error);
+        }
+    }
+
+    closeDraftNotice() {
+        this.savedDraft = null;
+        if (!this.draftNotice) return;
+
+        this.draftNotice.hidden = true;
+        this.draftPlayer.pause();
+        if (this.draftPlayer.src) {
+            URL.revokeObjectURL(this.draftPlayer.src);
+            this.draftPlayer.removeAttribute('src');
+        }
+        this.draftPlayer.hidden = true;
     }
 
     renderSubmissions(submissions) {
         if (submissions.length === 0) {
-            this.submissionsList.innerHTML = '<p>No submissions yet.</p>';
+            this.submissionsList.innerHTML = `<p>${this.escape(I18n.t('submissions.none'))}</p>`;
             return;
         }
 
@@ -336,24 +1431,84 @@ class AudioRecorder {
                 <div class="submission-info">
                     <div>
                         <div class="submission-date">
-                            ${new Date(submission.created_at).toLocaleString()}
+                            ${this.formatDate(submission.created_at)}
                         </div>
                         <div class="submission-size">
-                            ${this.formatFileSize(submission.file_size)}
+                            ${this.formatDuration(submission.duration)} · ${this.formatFileSize(submission.file_size)}
                         </div>
                     </div>
                     <div>
                         <a href="${submission.audio_url}" target="_blank" class="btn btn-secondary">
-                            🔊 Listen
+                            <span aria-hidden="true">🔊</span> ${this.escape(I18n.t('submissions.listen'))}
+                            <span class="sr-only">${this.escape(I18n.t('submissions.newTab'))}</span>
                         </a>
+                        ${submission.comment_count && typeof ReviewPlayer !== 'undefined' ? `
+                            <button type="button" class="btn btn-primary review-toggle"
+                                data-submission-id="${this.escape(submission.id)}">
+                                <span aria-hidden="true">💬</span>
+                                ${this.escape(I18n.t('submissions.comments', { count: submission.comment_count }))}
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
+                <div class="review-slot"></div>
+                ${this.renderFeedback(submission.feedback || [])}
             </div>
         `).join('');
     }
 
+    toggleReview(button) {
+        const slot = button.closest('.submission-item').querySelector('.review-slot');
+        if (slot.innerHTML) {
+            slot.innerHTML = '';
+            return;
+        }
+        new ReviewPlayer(slot, button.dataset.submissionId, {
+            onError: message => this.showStatus(message, 'error')
+        });
+    }
+
+    // Spoken feedback instructors recorded on a submission
+    renderFeedback(clips) {
+        if (clips.length === 0) return '';
+
+        return `
+            <div class="feedback-clips">
+                ${clips.map(clip => `
+                    <div class="feedback-clip">
+                        <div class="feedback-label">
+                            <span aria-hidden="true">💬</span>
+                            ${this.escape(clip.author_name
+                                ? I18n.t('submissions.feedbackFrom', { name: clip.author_name })
+                                : I18n.t('submissions.feedback'))} ·
+                            ${this.formatDate(clip.created_at)} · ${this.formatDuration(clip.duration)}
+                        </div>
+                        <audio class="audio-player" controls preload="none" src="${this.escape(clip.audio_url)}"
+                            aria-label="${this.escape(I18n.t('submissions.feedback'))}"></audio>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === undefined || value === null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleString(I18n.locale);
+    }
+
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return I18n.t('format.unknownLength');
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
     formatFileSize(bytes) {
-        if (!bytes) return 'Unknown size';
+        if (!bytes) return I18n.t('format.unknownSize');
         const sizes = ['Bytes', 'KB', 'MB', 'GB'];
         const i = Math.floor(Math.log(bytes) / Math.log(1024));
         return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
@@ -375,20 +1530,21 @@ class AudioRecorder {
     }
 }
 
-// Initialize the recorder when page loads
+// Initialize the recorder when page loads, unless the page starts it itself
 document.addEventListener('DOMContentLoaded', () => {
-    new AudioRecorder();
+    if (document.body.dataset.recorder !== 'manual') {
+        new AudioRecorder();
+    }
 });
 
-// Handle page visibility changes to stop recording if tab becomes inactive
+// Apply the assignment's background policy when the tab is hidden mid-recording
 document.addEventListener('visibilitychange', () => {
-    if (document.hidden && window.audioRecorder && window.audioRecorder.isRecording) {
-        window.audioRecorder.stopRecording();
-        window.audioRecorder.showStatus('Recording stopped because tab became inactive', 'info');
+    if (window.audioRecorder) {
+        window.audioRecorder.handleVisibilityChange();
     }
 });
 
-// Handle page unload to clean up
+// Handle page unload to clean up; the recording itself survives as a draft where enabled
 window.addEventListener('beforeunload', () => {
     if (window.audioRecorder && window.audioRecorder.audioUrl) {
         URL.revokeObjectURL(window.audioRecorder.audioUrl);
@@ -0,0 +1,108 @@
+// 16-bit PCM WAV encoding for audio produced in the browser. Mono samples in the
+// range -1..1 become a Blob the server can probe and transcode like any upload.
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);             // fmt chunk size
+    view.setUint16(20, 1, true);              // PCM
+    view.setUint16(22, 1, true);              // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // bytes per second
+    view.setUint16(32, 2, true);              // bytes per frame
+    view.setUint16(34, 16, true);             // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Records a stream to WAV through Web Audio, for browsers whose MediaRecorder is missing or
+// can produce none of the compressed formats. It offers the parts of MediaRecorder the
+// recorder uses; the whole file arrives in one dataavailable event when recording stops.
+// Speech is kept at about 24 kHz so a long take stays under the upload limit.
+class WavRecorder {
+    constructor(stream, audioContext) {
+        this.stream = stream;
+        this.context = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        this.mimeType = 'audio/wav';
+        this.state = 'inactive';
+        this.ondataavailable = null;
+        this.onstop = null;
+        this.onerror = null;
+        this.factor = Math.max(1, Math.round(this.context.sampleRate / 24000));
+        this.buffers = [];
+        this.length = 0;
+    }
+
+    start() {
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.processor = this.context.createScriptProcessor(4096, 1, 1);
+        this.processor.onaudioprocess = (event) => {
+            if (this.state !== 'recording') return;
+            const input = event.inputBuffer.getChannelData(0);
+            // Average each run of samples down to one
+            const output = new Float32Array(Math.floor(input.length / this.factor));
+            for (let i = 0; i < output.length; i++) {
+                let sum = 0;
+                for (let j = 0; j < this.factor; j++) {
+                    sum += input[i * this.factor + j];
+                }
+                output[i] = sum / this.factor;
+            }
+            this.buffers.push(output);
+            this.length += output.length;
+        };
+        this.source.connect(this.processor);
+        // A ScriptProcessorNode only runs while connected to an output; it writes silence
+        this.processor.connect(this.context.destination);
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        this.state = 'recording';
+    }
+
+    pause() {
+        this.state = 'paused';
+    }
+
+    resume() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        if (this.state === 'inactive') return;
+        this.state = 'inactive';
+        this.source.disconnect();
+        this.processor.disconnect();
+
+        const samples = new Float32Array(this.length);
+        let offset = 0;
+        this.buffers.forEach(buffer => {
+            samples.set(buffer, offset);
+            offset += buffer.length;
+        });
+        this.buffers = [];
+        this.length = 0;
+        const blob = encodeWav(samples, this.context.sampleRate / this.factor);
+
+        // Delivered after stop() returns, as MediaRecorder does
+        setTimeout(() => {
+            if (this.ondataavailable) this.ondataavailable({ data: blob });
+            if (this.onstop) this.onstop();
+        }, 0);
+    }
+}
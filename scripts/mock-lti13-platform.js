@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// A minimal LTI 1.3 platform for exercising the tool locally. It signs id_tokens with
+// its own key, issues AGS access tokens against the tool's JWKS and records scores.
+//
+//   TOOL_URL=http://localhost:3000 node scripts/mock-lti13-platform.js
+//
+// Register it with the tool using the command printed on startup, then open
+// http://localhost:4000 and pick a user to launch as.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const PORT = process.env.MOCK_PLATFORM_PORT || 4000;
+const TOOL_URL = process.env.TOOL_URL || 'http://localhost:3000';
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = 'mock-client';
+const DEPLOYMENT_ID = 'mock-deployment';
+const LINE_ITEM_URL = `${ISSUER}/courses/mock-course/lineitems/1`;
+
+const KID = uuidv4();
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const users = {
+  student: { sub: 'mock-student', name: 'Sam Student', roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'] },
+  instructor: { sub: 'mock-instructor', name: 'Ida Instructor', roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor'] },
+  ta: { sub: 'mock-ta', name: 'Tom Assistant', roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant'] }
+};
+
+// lti_message_hint picks the message: a resource link launch or one of the two deep linking placements
+const deepLinkingAcceptTypes = {
+  assignment_selection: ['ltiResourceLink'],
+  editor_button: ['link', 'file', 'html', 'ltiResourceLink', 'image']
+};
+
+const accessTokens = new Set();
+const scores = [];
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/', (req, res) => {
+  const loginUrl = (hint, messageHint) => {
+    const login = new URL(`${TOOL_URL}/lti13/login`);
+    login.searchParams.set('iss', ISSUER);
+    login.searchParams.set('client_id', CLIENT_ID);
+    login.searchParams.set('lti_deployment_id', DEPLOYMENT_ID);
+    login.searchParams.set('login_hint', hint);
+    login.searchParams.set('target_link_uri', `${TOOL_URL}/lti13/launch`);
+    if (messageHint) {
+      login.searchParams.set('lti_message_hint', messageHint);
+    }
+    return login;
+  };
+  const links = Object.keys(users).map(hint => `<li><a href="${loginUrl(hint)}">Launch as ${users[hint].name}</a></li>`)
+    .concat(Object.keys(deepLinkingAcceptTypes).map(placement =>
+      `<li><a href="${loginUrl('instructor', placement)}">Deep link from ${placement} as ${users.instructor.name}</a></li>`));
+  res.send(`<h1>Mock LTI 1.3 platform</h1><ul>${links.join('')}</ul><p><a href="/scores">Received scores</a></p>`);
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] });
+});
+
+// OIDC authorization endpoint: answer the tool's login redirect with a signed id_token
+app.get('/authorize', (req, res) => {
+  const user = users[req.query.login_hint];
+  if (req.query.client_id !== CLIENT_ID || !user || !req.query.nonce || !req.query.state) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const acceptTypes = deepLinkingAcceptTypes[req.query.lti_message_hint];
+  const messageClaims = acceptTypes ? {
+    'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiDeepLinkingRequest',
+    'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings': {
+      deep_link_return_url: `${ISSUER}/deep-link-return`,
+      accept_types: acceptTypes,
+      accept_presentation_document_targets: ['iframe', 'window'],
+      data: req.query.lti_message_hint
+    }
+  } : {
+    'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiResourceLinkRequest',
+    'https://purl.imsglobal.org/spec/lti/claim/resource_link': { id: 'mock-resource-link' }
+  };
+
+  const idToken = jwt.sign({
+    sub: user.sub,
+    name: user.name,
+    nonce: req.query.nonce,
+    ...messageClaims,
+    'https://purl.imsglobal.org/spec/lti/claim/version': '1.3.0',
+    'https://purl.imsglobal.org/spec/lti/claim/deployment_id': DEPLOYMENT_ID,
+    'https://purl.imsglobal.org/spec/lti/claim/target_link_uri': `${TOOL_URL}/lti13/launch`,
+    'https://purl.imsglobal.org/spec/lti/claim/roles': user.roles,
+    'https://purl.imsglobal.org/spec/lti/claim/context': { id: 'mock-course', title: 'Mock Course' },
+    'https://purl.imsglobal.org/spec/lti/claim/custom': {
+      canvas_assignment_id: 'mock-assignment',
+      canvas_assignment_points_possible: '10'
+    },
+    'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint': {
+      scope: ['https://purl.imsglobal.org/spec/lti-ags/scope/score'],
+      lineitem: LINE_ITEM_URL
+    }
+  }, privateKey, { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: 300 });
+
+  res.send(`<form method="POST" action="${req.query.redirect_uri}">
+    <input type="hidden" name="id_token" value="${idToken}">
+    <input type="hidden" name="state" value="${req.query.state}">
+  </form><script>document.forms[0].submit()</script>`);
+});
+
+async function toolPublicKey(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const jwks = await (await fetch(`${TOOL_URL}/.well-known/jwks.json`)).json();
+  const jwk = jwks.keys.find(k => k.kid === decoded.header.kid);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Deep linking responses are JWTs signed by the tool
+app.post('/deep-link-return', async (req, res) => {
+  try {
+    const response = jwt.verify(req.body.JWT, await toolPublicKey(req.body.JWT), {
+      algorithms: ['RS256'],
+      issuer: CLIENT_ID,
+      audience: ISSUER
+    });
+    console.log('Deep linking response:', JSON.stringify(response, null, 2));
+    res.json(response);
+  } catch (error) {
+    console.error('Rejected deep linking response:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// OAuth2 client_credentials grant, authenticated by a JWT signed with the tool's key
+app.post('/token', async (req, res) => {
+  try {
+    jwt.verify(req.body.client_assertion, await toolPublicKey(req.body.client_assertion), {
+      algorithms: ['RS256'],
+      issuer: CLIENT_ID,
+      audience: `${ISSUER}/token`
+    });
+
+    const token = uuidv4();
+    accessTokens.add(token);
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: req.body.scope });
+  } catch (error) {
+    console.error('Rejected client assertion:', error.message);
+    res.status(401).json({ error: 'invalid_client' });
+  }
+});
+
+app.post('/courses/mock-course/lineitems/1/scores', express.json({ type: 'application/vnd.ims.lis.v1.score+json' }), (req, res) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  if (!accessTokens.has(token)) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  scores.push(req.body);
+  console.log('Score received:', req.body);
+  res.json({});
+});
+
+app.get('/scores', (req, res) => {
+  res.json(scores);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock LTI 1.3 platform running on ${ISSUER}`);
+  console.log('Register it with the tool:');
+  console.log(`  node bin/admin.js platform:add --name "Mock platform" --issuer ${ISSUER} --client-id ${CLIENT_ID} \\
+    --deployment-ids ${DEPLOYMENT_ID} --auth-login-url ${ISSUER}/authorize \\
+    --auth-token-url ${ISSUER}/token --jwks-url ${ISSUER}/jwks`);
+});
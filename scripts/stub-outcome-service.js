@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// A stand-in for an LTI 1.1 Basic Outcomes service, Canvas's grade passback endpoint, for
+// exercising the grade outbox locally. It checks each request's OAuth signature and body
+// hash against LTI_SECRET (for a registered consumer, set it to that consumer's secret), records
+// the grades it accepts, and can fail on purpose.
+//
+//   LTI_SECRET=secret node scripts/stub-outcome-service.js
+//
+// Launch the tool with lis_outcome_service_url=http://localhost:4100/outcomes and any
+// lis_result_sourcedid. STUB_OUTCOME_FAIL=3 answers the first three requests with HTTP 500;
+// POST /fail?count=N does the same at any time. Accepted grades are listed at /grades.
+
+const crypto = require('crypto');
+const express = require('express');
+const { buildSignature } = require('../lib/oauth1');
+
+const PORT = process.env.STUB_OUTCOME_PORT || 4100;
+const SECRET = process.env.LTI_SECRET;
+
+let failuresLeft = parseInt(process.env.STUB_OUTCOME_FAIL, 10) || 0;
+const grades = [];
+
+// Authorization: OAuth realm="",oauth_consumer_key="...",...
+function oauthParams(header) {
+  const params = {};
+  String(header || '').replace(/^OAuth\s+/i, '').split(',').forEach(pair => {
+    const match = pair.trim().match(/^([^=]+)="(.*)"$/);
+    if (match && match[1] !== 'realm') {
+      params[match[1]] = decodeURIComponent(match[2]);
+    }
+  });
+  return params;
+}
+
+function tag(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? match[1].trim() : null;
+}
+
+function respond(res, codeMajor, description, messageId) {
+  res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<imsx_POXEnvelopeResponse xmlns="http://www.imsglobal.org/services/ltiv1p1/xsd/imsoms_v1p0">
+  <imsx_POXHeader>
+    <imsx_POXResponseHeaderInfo>
+      <imsx_version>V1.0</imsx_version>
+      <imsx_messageIdentifier>${crypto.randomUUID()}</imsx_messageIdentifier>
+      <imsx_statusInfo>
+        <imsx_codeMajor>${codeMajor}</imsx_codeMajor>
+        <imsx_severity>status</imsx_severity>
+        <imsx_description>${description}</imsx_description>
+        <imsx_messageRefIdentifier>${messageId || ''}</imsx_messageRefIdentifier>
+        <imsx_operationRefIdentifier>replaceResult</imsx_operationRefIdentifier>
+      </imsx_statusInfo>
+    </imsx_POXResponseHeaderInfo>
+  </imsx_POXHeader>
+  <imsx_POXBody><replaceResultResponse/></imsx_POXBody>
+</imsx_POXEnvelopeResponse>`);
+}
+
+const app = express();
+app.use(express.text({ type: '*/*' }));
+
+app.post('/outcomes', (req, res) => {
+  const xml = req.body || '';
+  const messageId = tag(xml, 'imsx_messageIdentifier');
+
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    console.log(`Failing on purpose (${failuresLeft} more to fail)`);
+    return res.status(500).send('Simulated outage');
+  }
+
+  const params = oauthParams(req.get('Authorization'));
+  const bodyHash = crypto.createHash('sha1').update(xml).digest('base64');
+  const url = `${req.protocol}://${req.get('host')}${req.path}`;
+  if (params.oauth_body_hash !== bodyHash) {
+    return respond(res, 'failure', 'Body hash does not match', messageId);
+  }
+  if (!SECRET || buildSignature('POST', url, params, SECRET) !== params.oauth_signature) {
+    return respond(res, 'failure', 'Invalid OAuth signature', messageId);
+  }
+
+  const grade = {
+    consumerKey: params.oauth_consumer_key,
+    sourcedId: tag(xml, 'sourcedId'),
+    score: parseFloat(tag(xml, 'textString')),
+    comment: tag(xml, 'text'),
+    receivedAt: new Date().toISOString()
+  };
+  grades.push(grade);
+  console.log('Grade received:', grade);
+  respond(res, 'success', 'Score for the result has been replaced', messageId);
+});
+
+app.post('/fail', (req, res) => {
+  failuresLeft = parseInt(req.query.count, 10) || 1;
+  res.json({ failuresLeft });
+});
+
+app.get('/grades', (req, res) => {
+  res.json(grades);
+});
+
+app.listen(PORT, () => {
+  console.log(`Stub outcome service listening on http://localhost:${PORT}/outcomes`);
+  if (!SECRET) {
+    console.warn('LTI_SECRET is not set; every request will be refused');
+  }
+});
@@ -1,18 +1,52 @@
 const express = require('express');
 const session = require('express-session');
-const Provider = require('ims-lti').Provider;
+const { Provider } = require('ims-lti');
 const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const sqlite3 = require('sqlite3').verbose();
 const helmet = require('helmet');
 const compression = require('compression');
-const AWS = require('aws-sdk');
+const { ready } = require('./lib/db');
+const lti13 = require('./lib/lti13');
+const contentItem = require('./lib/contentItem');
+const oauth1 = require('./lib/oauth1');
+const { AudioFormatError, DecoderUnavailableError } = require('./lib/audio');
+const { ingestAudio } = require('./lib/ingest');
+const { storage, adoptLegacyRecordings } = require('./lib/storage');
+const uploadSessions = require('./lib/uploadSessions');
+const recordingMetadata = require('./lib/recordingMetadata');
+const assignmentRules = require('./lib/assignmentRules');
+const transcription = require('./lib/transcription');
+const gradePassback = require('./lib/gradePassback');
+const submissions = require('./lib/repositories/submissions');
+const feedbackClips = require('./lib/repositories/feedback');
+const comments = require('./lib/repositories/comments');
+const clips = require('./lib/repositories/clips');
+const exportArchive = require('./lib/exportArchive');
+const retention = require('./lib/retention');
+const audit = require('./lib/audit');
+const health = require('./lib/health');
+const metrics = require('./lib/metrics');
+const consumers = require('./lib/consumers');
+const nonceStore = require('./lib/nonceStore');
+const sessionStore = require('./lib/sessionStore');
+const i18n = require('./lib/i18n');
+const { AssignmentRuleError } = assignmentRules;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
+// Behind a reverse proxy, TRUST_PROXY lets req.ip (which the audit log keeps) be the client's
+// address from X-Forwarded-For: "true", a number of hops, or the proxies' addresses
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', trust === 'true' ? true : /^\d+$/.test(trust) ? parseInt(trust, 10) : trust);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -20,8 +54,9 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
-      mediaSrc: ["'self'", "blob:"],
-      connectSrc: ["'self'"]
+      mediaSrc: ["'self'", "blob:", ...storage.mediaSources],
+      // The review player fetches recordings to draw their waveform, following storage redirects
+      connectSrc: ["'self'", ...storage.mediaSources]
     }
   }
 }));
@@ -31,68 +66,52 @@ app.use(compression());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static('public'));
+
+// Canvas shows the tool in an iframe on its own domain, so our cookies are third-party: they
+// need SameSite=None, which browsers accept only with Secure, and Partitioned for browsers
+// that block other third-party cookies. Plain HTTP in development gets first-party cookies.
+const COOKIE_OPTIONS = process.env.NODE_ENV === 'production'
+  ? { secure: true, sameSite: 'none', partitioned: true }
+  : { sameSite: 'lax' };
+
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'fallback-secret-change-in-production',
+  secret: sessionSecret(),
+  store: sessionStore.createStore(),
   resave: false,
   saveUninitialized: false,
-  cookie: { secure: process.env.NODE_ENV === 'production' }
+  cookie: { ...COOKIE_OPTIONS }
 }));
 
-// Database setup - use persistent storage in production
-const dbPath = process.env.NODE_ENV === 'production' ? '/home/bitnami/app-data/submissions.db' : ':memory:';
-const db = new sqlite3.Database(dbPath);
-
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS submissions (
-    id TEXT PRIMARY KEY,
-    user_id TEXT,
-    course_id TEXT,
-    assignment_id TEXT,
-    audio_url TEXT,
-    file_name TEXT,
-    file_size INTEGER,
-    duration INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-});
-
-// Configure storage based on environment
-let storage;
-if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-  // Use AWS S3 for production
-  const s3 = new AWS.S3({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION || 'us-east-1'
-  });
-  
-  storage = multer.memoryStorage();
-} else {
-  // Use local storage for development
-  storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-      const uploadDir = 'uploads';
-      require('fs').mkdirSync(uploadDir, { recursive: true });
-      cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-      const uniqueName = `${uuidv4()}.webm`;
-      cb(null, uniqueName);
-    }
-  });
+// Anyone who knows a published placeholder can forge a session, so production will not start
+// with the fallback or the one ecosystem.config.js used to ship
+function sessionSecret() {
+  const fallback = 'fallback-secret-change-in-production';
+  const secret = process.env.SESSION_SECRET || fallback;
+  if (process.env.NODE_ENV === 'production' && [fallback, 'change-this-in-production'].includes(secret)) {
+    console.error('SESSION_SECRET must be set to a long random value in production; refusing to start');
+    process.exit(1);
+  }
+  return secret;
 }
 
+// Uploads land in a temporary directory; ingestion moves them to their final storage. Any
+// file is taken, whatever type the browser gave it: ingestion looks at what is actually in
+// it and refuses anything that is not audio.
+const uploadStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(os.tmpdir(), 'canvas-audio-lti-uploads');
+    fs.mkdirSync(uploadDir, { recursive: true });
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, uuidv4());
+  }
+});
+
 const upload = multer({ 
-  storage: storage,
+  storage: uploadStorage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only audio files are allowed!'), false);
-    }
   }
 });
 
@@ -101,169 +120,1225 @@ app.get('/', (req, res) => {
   res.send('Canvas Audio LTI Tool is running!');
 });
 
-app.get('/health', (req, res) => {
+// Readiness: 503 unless the database can be written, storage reached and the required settings
+// are present, with what failed in checks
+app.get('/health', async (req, res) => {
+  const { ok, checks } = await health.readiness();
+  res.status(ok ? 200 : 503).json({ status: ok ? 'OK' : 'FAIL', timestamp: new Date().toISOString(), checks });
+});
+
+// Liveness: the process is up and answering
+app.get('/health/live', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-app.post('/launch', (req, res) => {
-  const provider = new Provider(
-    req.body.oauth_consumer_key,
-    process.env.LTI_SECRET,
-    req.body
-  );
+// Prometheus metrics (see lib/metrics.js); METRICS_TOKEN, when set, must come as a Bearer token
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !tokenMatches(req, process.env.METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  try {
+    res.type(metrics.register.contentType).send(await metrics.register.metrics());
+  } catch (error) {
+    console.error('Metrics error:', error);
+    res.status(500).json({ error: 'Unable to collect metrics' });
+  }
+});
+
+app.post('/launch', async (req, res) => {
+  // The secret comes from the consumer registry, or LTI_SECRET (see lib/consumers.js)
+  let consumer;
+  try {
+    consumer = await consumers.resolve(req.body.oauth_consumer_key);
+  } catch (error) {
+    console.error('LTI consumer lookup failed:', error);
+    return res.status(500).send('LTI authentication failed');
+  }
+  if (!consumer) {
+    console.error(`LTI authentication failed: unknown or disabled consumer ${req.body.oauth_consumer_key}`);
+    metrics.failed('launch');
+    return res.status(401).send('LTI authentication failed');
+  }
+
+  // ims-lti only understands basic launches, so selection requests are verified separately
+  if (req.body.lti_message_type === 'ContentItemSelectionRequest') {
+    return handleContentItemSelectionRequest(req, res, consumer);
+  }
+
+  // Nonces are shared by every instance and survive restarts (see lib/nonceStore.js)
+  const provider = new Provider(consumer.key, consumer.secret, nonceStore.forProvider(consumer.key));
 
   provider.valid_request(req, (err, isValid) => {
     if (err || !isValid) {
       console.error('LTI authentication failed:', err);
+      metrics.failed('launch');
       return res.status(401).send('LTI authentication failed');
     }
 
-    // Store LTI session data
+    // Store LTI session data; the LTI 1.3 launch fills the same shape
     req.session.lti = {
-      userId: req.body.user_id,
-      courseId: req.body.context_id,
+      ltiVersion: '1.1',
+      userId: consumers.scopedId(consumer, req.body.user_id),
+      courseId: consumers.scopedId(consumer, req.body.context_id),
       assignmentId: req.body.custom_canvas_assignment_id,
+      userName: req.body.lis_person_name_full,
       roles: req.body.roles,
+      locale: req.body.launch_presentation_locale || null,
+      pointsPossible: parseFloat(req.body.custom_canvas_assignment_points_possible) || null,
       lisResultSourcedid: req.body.lis_result_sourcedid,
       lisOutcomeServiceUrl: req.body.lis_outcome_service_url,
-      consumerKey: req.body.oauth_consumer_key
+      outcomeDataTypes: req.body.ext_outcome_data_values_accepted,
+      consumerKey: req.body.oauth_consumer_key,
+      platformId: null,
+      lineItemUrl: null,
+      prompt: req.body.custom_audio_prompt || null,
+      clipId: req.body.custom_clip_id || null,
+      rules: assignmentRules.fromCustomParams(req.body, 'custom_')
     };
 
-    console.log(`LTI launch - User: ${req.body.user_id}, Course: ${req.body.context_id}`);
-    res.sendFile(path.join(__dirname, 'public', 'recorder.html'));
+    completeLaunch(req, res);
+  });
+});
+
+async function handleContentItemSelectionRequest(req, res, consumer) {
+  if (!req.body.content_item_return_url || !oauth1.isValidRequest(req, consumer.secret)) {
+    console.error('Content-Item selection request failed authentication');
+    metrics.failed('launch');
+    return res.status(401).send('LTI authentication failed');
+  }
+  try {
+    await nonceStore.consume(consumer.key, req.body.oauth_nonce, req.body.oauth_timestamp);
+  } catch (error) {
+    if (!(error instanceof nonceStore.ReplayError)) {
+      console.error('Content-Item nonce check failed:', error);
+      return res.status(500).send('LTI authentication failed');
+    }
+    console.error(`Content-Item selection request refused: ${error.message}`);
+    metrics.failed('launch');
+    return res.status(401).send('LTI authentication failed');
+  }
+
+  req.session.lti = {
+    ltiVersion: '1.1',
+    userId: consumers.scopedId(consumer, req.body.user_id),
+    courseId: consumers.scopedId(consumer, req.body.context_id),
+    assignmentId: null,
+    userName: req.body.lis_person_name_full,
+    roles: req.body.roles,
+    locale: req.body.launch_presentation_locale || null,
+    pointsPossible: null,
+    lisResultSourcedid: null,
+    lisOutcomeServiceUrl: null,
+    outcomeDataTypes: null,
+    consumerKey: req.body.oauth_consumer_key,
+    platformId: null,
+    lineItemUrl: null,
+    prompt: null,
+    clipId: null,
+    rules: null
+  };
+
+  completeLaunch(req, res, contentItem.selectionFromContentItemRequest(req.body));
+}
+
+// The OIDC state is also kept in a signed cookie on the browser that started the login, so
+// the launch that answers it can only be completed in that browser. Each login gets its own
+// cookie: a page embedding several clips starts several logins at once.
+const LOGIN_STATE_COOKIE_PREFIX = 'lti13_state_';
+const LOGIN_STATE_PATTERN = /^[0-9a-f]{1,64}$/;
+
+function loginStateCookie(state) {
+  return LOGIN_STATE_COOKIE_PREFIX + state;
+}
+
+function signLoginState(state) {
+  return crypto.createHmac('sha256', sessionSecret()).update(state).digest('hex');
+}
+
+// Whether the request carries the state cookie the login set for this state
+function hasLoginStateCookie(req, state) {
+  if (typeof state !== 'string' || !LOGIN_STATE_PATTERN.test(state)) return false;
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === loginStateCookie(state));
+  if (!cookie) return false;
+
+  let value;
+  try {
+    value = decodeURIComponent(cookie.slice(1).join('='));
+  } catch (err) {
+    // A malformed value is no cookie at all
+    return false;
+  }
+  const expected = Buffer.from(signLoginState(state));
+  const actual = Buffer.from(value);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// LTI 1.3 step 1: the platform starts an OIDC login, we answer with an authorization redirect
+app.all('/lti13/login', async (req, res) => {
+  const params = req.method === 'POST' ? req.body : req.query;
+
+  try {
+    const { url, state } = await lti13.startLogin(params, `${toolUrl(req)}/lti13/launch`);
+    res.cookie(loginStateCookie(state), signLoginState(state), {
+      ...COOKIE_OPTIONS,
+      httpOnly: true,
+      maxAge: lti13.LOGIN_TTL_SECONDS * 1000
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('LTI 1.3 login failed:', error);
+    metrics.failed('launch');
+    res.status(error instanceof lti13.LaunchError ? 400 : 500).send('LTI login failed');
+  }
+});
+
+// LTI 1.3 step 2: the platform posts back a signed id_token
+app.post('/lti13/launch', async (req, res) => {
+  try {
+    if (!hasLoginStateCookie(req, req.body.state)) {
+      throw new lti13.LaunchError('Launch did not come back to the browser that started the login');
+    }
+    res.clearCookie(loginStateCookie(req.body.state), { ...COOKIE_OPTIONS, httpOnly: true });
+    const { claims, platform } = await lti13.validateLaunch(req.body.id_token, req.body.state);
+    req.session.lti = lti13.sessionFromClaims(claims, platform);
+    completeLaunch(req, res, lti13.isDeepLinkingRequest(claims)
+      ? contentItem.selectionFromDeepLinkingClaims(claims, platform)
+      : null);
+  } catch (error) {
+    console.error('LTI 1.3 authentication failed:', error);
+    metrics.failed('launch');
+    res.status(error instanceof lti13.LaunchError ? 401 : 500).send('LTI authentication failed');
+  }
+});
+
+// Public keys platforms use to verify our client assertions
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    res.json(await lti13.getJwks());
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({ error: 'Unable to load keys' });
+  }
+});
+
+// Pick the page for a validated launch: the selection picker, an embedded clip, the
+// grading view or the recorder
+function completeLaunch(req, res, selection) {
+  const lti = req.session.lti;
+  const grader = isGrader(lti.roles);
+  req.session.contentItem = selection || null;
+  console.log(`LTI ${lti.ltiVersion} launch - User: ${lti.userId}, Course: ${lti.courseId}, Grader: ${grader}`);
+  metrics.launches.inc({ lti_version: lti.ltiVersion, role: grader ? 'grader' : 'learner' });
+  audit.record(req, 'launch', {
+    details: { ltiVersion: lti.ltiVersion, grader, selection: Boolean(selection), clipId: lti.clipId || undefined }
   });
+
+  if (selection) {
+    return res.sendFile(path.join(__dirname, 'public', 'picker.html'));
+  }
+
+  if (lti.clipId) {
+    // A page can embed several clips, so remember each one this browser was launched into
+    const viewable = req.session.viewableClips || [];
+    req.session.viewableClips = viewable.includes(lti.clipId) ? viewable : viewable.concat(lti.clipId);
+    return res.redirect(303, `/clip.html?id=${encodeURIComponent(lti.clipId)}`);
+  }
+
+  res.sendFile(path.join(__dirname, 'public', grader ? 'grader.html' : 'recorder.html'));
+}
+
+function toolUrl(req) {
+  return process.env.TOOL_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// A recording sent whole: 'single' from the recorder, 'file' when the student chose a file
+// instead. Which route it came in on, not what the browser says, decides how it was made.
+function wholeUpload(method) {
+  return async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No recording was received' });
+    }
+
+    try {
+      const result = await createSubmission(req.session.lti, req.file, req.body.metadata, method);
+      recordUpload(req, result, method, req.file.size);
+      res.json(result);
+    } catch (error) {
+      if (error instanceof AudioFormatError) {
+        recordRejection(req, error, 'ingest');
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof AssignmentRuleError) {
+        recordRejection(req, error, 'rules');
+        return res.status(error.status).json({ error: error.message });
+      }
+      if (error instanceof DecoderUnavailableError) {
+        console.error('Refused an uploaded file: ffmpeg or ffprobe is not installed');
+        recordRejection(req, error, 'ingest');
+        return res.status(error.status).json({ error: error.message });
+      }
+      recordFailure(error);
+      console.error('Upload error:', error);
+      res.status(500).json({ error: 'Upload failed: ' + error.message });
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  };
+}
+
+app.post('/upload-audio', timeUpload('single'), requireUploadSession, upload.single('audio'), wholeUpload('single'));
+app.post('/upload-file', timeUpload('file'), requireUploadSession, upload.single('audio'), wholeUpload('file'));
+
+// Resumable uploads: the recorder opens a session when recording starts and streams chunks as they arrive
+app.post('/upload-sessions', requireUploadSession, async (req, res) => {
+  try {
+    const lti = req.session.lti;
+    await assignmentRules.checkCanStartTake(lti, await assignmentRules.forLaunch(lti));
+    res.status(201).json(await uploadSessions.create(lti, req.body.mimeType));
+  } catch (error) {
+    if (error instanceof AssignmentRuleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload session error:', error);
+    res.status(500).json({ error: 'Unable to start the upload' });
+  }
 });
 
-app.post('/upload-audio', upload.single('audio'), async (req, res) => {
+app.get('/upload-sessions/:uploadId', requireUploadSession, async (req, res) => {
+  try {
+    res.json(await uploadSessions.status(req.params.uploadId, req.session.lti.userId));
+  } catch (error) {
+    sendUploadSessionError(res, error);
+  }
+});
+
+app.put('/upload-sessions/:uploadId/chunks', requireUploadSession,
+  express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+    const offset = parseInt(req.query.offset, 10);
+    if (isNaN(offset) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'A chunk needs an offset and a body' });
+    }
+
+    try {
+      res.json(await uploadSessions.appendChunk(req.params.uploadId, req.session.lti.userId, offset, req.body));
+    } catch (error) {
+      sendUploadSessionError(res, error);
+    }
+  });
+
+// Assemble and verify the streamed recording, then submit it like a single upload
+app.post('/upload-sessions/:uploadId/finalize', timeUpload('session'), requireUploadSession, async (req, res) => {
+  const { uploadId } = req.params;
+  let verified;
+
+  try {
+    verified = await uploadSessions.verify(uploadId, req.session.lti.userId, parseInt(req.body.size, 10), req.body.sha256);
+  } catch (error) {
+    // A retried finalize whose first response was lost gets the same answer again
+    if (error.session && error.session.status === 'finalized') {
+      return res.json({ success: true, submissionId: error.session.submissionId, message: 'Recording submitted successfully!' });
+    }
+    return sendUploadSessionError(res, error);
+  }
+
+  try {
+    const result = await createSubmission(verified.lti, verified.file, req.body.metadata, 'session');
+    await uploadSessions.finalized(uploadId, result.submissionId);
+    recordUpload(req, result, 'session', verified.file.size);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AudioFormatError) {
+      await uploadSessions.reject(uploadId);
+      recordRejection(req, error, 'ingest');
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof AssignmentRuleError) {
+      // Retrying the same recording will not change the answer
+      await uploadSessions.reject(uploadId);
+      recordRejection(req, error, 'rules');
+      return res.status(error.status).json({ error: error.message });
+    }
+    await uploadSessions.reopen(uploadId);
+    recordFailure(error);
+    console.error('Upload finalize error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  }
+});
+
+app.delete('/upload-sessions/:uploadId', requireUploadSession, async (req, res) => {
+  try {
+    await uploadSessions.abandon(req.params.uploadId, req.session.lti.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendUploadSessionError(res, error);
+  }
+});
+
+// Time a submitted recording from the start of its request until it is stored
+function timeUpload(method) {
+  return (req, res, next) => {
+    req.uploadTimer = metrics.uploadDuration.startTimer({ method });
+    next();
+  };
+}
+
+// A stored submission, for the audit log and metrics. method is 'single', 'file' or 'session'.
+function recordUpload(req, result, method, fileSize) {
+  req.uploadTimer();
+  metrics.uploads.inc({ method });
+  metrics.uploadBytes.observe({ method }, fileSize);
+  audit.record(req, 'submission.upload', {
+    submissionId: result.submissionId,
+    subjectUserId: req.session.lti.userId,
+    details: { method, fileSize, duration: result.duration, originalDuration: result.originalDuration }
+  });
+}
+
+function recordRejection(req, error, stage) {
+  metrics.failed(stage);
+  audit.record(req, 'submission.rejected', { subjectUserId: req.session.lti.userId, details: { reason: error.message } });
+}
+
+// Failures a lower layer has not already counted under its own stage
+function recordFailure(error) {
+  if (!error.stage) {
+    metrics.failed('submission');
+  }
+}
+
+function sendUploadSessionError(res, error) {
+  if (error instanceof uploadSessions.UploadSessionError) {
+    return res.status(error.status).json({ error: error.message, ...error.session });
+  }
+  console.error('Upload session error:', error);
+  metrics.failed('upload');
+  res.status(500).json({ error: 'Upload failed: ' + error.message });
+}
+
+// Ingest an uploaded file and record it as a submission for the given launch, enforcing the
+// assignment's rules. metadata is what the recorder reported about pauses and backgrounding;
+// method is how the file arrived (see wholeUpload), or 'session' through an upload session.
+async function createSubmission(lti, uploadedFile, metadata, method) {
+  await assignmentRules.lockSubmitting(lti);
+  try {
+    return await storeSubmission(lti, uploadedFile, metadata, method);
+  } finally {
+    await assignmentRules.unlockSubmitting(lti)
+      .catch(err => console.error('Releasing the submission lock failed:', err));
+  }
+}
+
+async function storeSubmission(lti, uploadedFile, metadata, method) {
+  const rules = await assignmentRules.forLaunch(lti);
+  await assignmentRules.checkCanSubmit(lti, rules, method);
+  const recording = recordingMetadata.serialize(metadata, rules.backgroundPolicy, method === 'file');
+  const { trim } = recordingMetadata.parse(recording);
+
+  const submissionId = uuidv4();
+  // A chosen file could be anything that starts like audio; a recording came from the recorder
+  const { original, playback, duration } = await ingestAudio(uploadedFile, submissionId, 'submissions', {
+    validate: measured => assignmentRules.checkDuration(rules, measured),
+    requireDecode: method === 'file'
+  });
+
+  // A take trimmed in the browser arrives re-encoded; the recorder reports how long it was before
+  const originalDuration = trim ? Math.round(trim.originalDuration) : duration;
+
+  // Files are private; audio_url is the route that checks the session before playing them
+  const audioUrl = `/submission/${submissionId}/audio`;
+  await submissions.create(lti, {
+    id: submissionId,
+    audioUrl,
+    storageKey: playback.storageKey,
+    fileName: playback.fileName,
+    fileSize: original.fileSize,
+    duration,
+    originalDuration,
+    mimeType: playback.mimeType,
+    recordingMetadata: recording
+  }, playback === original ? { original } : { original, playback });
+
+  // Transcribed in the background; a queueing failure must not fail the submission
+  transcription.enqueue(submissionId)
+    .catch(err => console.error(`Queueing transcription of ${submissionId} failed:`, err));
+
+  return { 
+    success: true, 
+    submissionId: submissionId,
+    audioUrl,
+    duration: duration,
+    originalDuration,
+    message: 'Recording submitted successfully!'
+  };
+}
+
+// Checked before multer runs so an expired session never leaves an upload behind
+function requireUploadSession(req, res, next) {
   if (!req.session.lti) {
     return res.status(401).json({ error: 'Session expired. Please relaunch from Canvas.' });
   }
+  next();
+}
 
+// What the launched page needs to know about its launch
+app.get('/launch-context', async (req, res) => {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+
+  const lti = req.session.lti;
   try {
-    const submissionId = uuidv4();
-    let audioUrl;
-    let fileName;
+    res.json({
+      userId: lti.userId,
+      userName: lti.userName,
+      courseId: lti.courseId,
+      assignmentId: lti.assignmentId,
+      locale: i18n.resolveLocale(lti.locale),
+      prompt: lti.prompt,
+      rules: await assignmentRules.forLaunch(lti),
+      attemptsUsed: lti.assignmentId ? await assignmentRules.countAttempts(lti) : 0,
+      selectionMode: req.session.contentItem ? req.session.contentItem.mode : null
+    });
+  } catch (error) {
+    console.error('Launch context error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-    if (req.file.buffer && process.env.AWS_ACCESS_KEY_ID) {
-      // Upload to S3
-      const s3 = new AWS.S3({
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        region: process.env.AWS_REGION || 'us-east-1'
-      });
+// The recorder's messages in the launch's language, or the browser's before a launch
+app.get('/i18n/messages', (req, res) => {
+  const requested = req.session.lti && req.session.lti.locale
+    ? req.session.lti.locale
+    : req.acceptsLanguages(...i18n.available());
+  const locale = i18n.resolveLocale(requested || undefined);
+  res.set('Cache-Control', 'private, no-cache');
+  res.json({ locale, messages: i18n.messagesFor(locale) });
+});
 
-      fileName = `audio-${submissionId}.webm`;
-      const params = {
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: `submissions/${fileName}`,
-        Body: req.file.buffer,
-        ContentType: 'audio/webm',
-        ACL: 'public-read'
-      };
-
-      const result = await s3.upload(params).promise();
-      audioUrl = result.Location;
+// Like requireUploadSession, for clips recorded from the editor button
+function requireClipSelection(req, res, next) {
+  const selection = req.session.contentItem;
+  if (!req.session.lti || !selection || selection.mode !== 'clip') {
+    return res.status(401).json({ error: 'Session expired. Please relaunch from Canvas.' });
+  }
+  next();
+}
+
+// Record a clip for the rich content editor; it is linked once the selection is returned
+app.post('/content-item/clip', requireClipSelection, upload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No recording was received' });
+  }
+
+  try {
+    const clipId = uuidv4();
+    const { playback, duration } = await ingestAudio(req.file, clipId, 'clips');
+    const { userId, courseId } = req.session.lti;
+    const audioUrl = `/clips/${clipId}/audio`;
+
+    await clips.create({
+      id: clipId,
+      userId,
+      courseId,
+      audioUrl,
+      storageKey: playback.storageKey,
+      fileName: playback.fileName,
+      fileSize: playback.fileSize,
+      duration,
+      mimeType: playback.mimeType
+    });
+    res.json({ success: true, clipId, audioUrl, message: 'Clip recorded.' });
+  } catch (error) {
+    if (error instanceof AudioFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Clip upload error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Build the signed selection response the picker posts back to Canvas
+app.post('/content-item/select', async (req, res) => {
+  const selection = req.session.contentItem;
+  if (!req.session.lti || !selection) {
+    return res.status(401).json({ error: 'Session expired. Please relaunch from Canvas.' });
+  }
+
+  const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+  if (!title) {
+    return res.status(400).json({ error: 'A title is required' });
+  }
+
+  try {
+    let item;
+    if (selection.mode === 'assignment') {
+      const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+      item = contentItem.buildLinkItem(selection, {
+        toolUrl: toolUrl(req),
+        title,
+        text: prompt,
+        custom: prompt ? { audio_prompt: prompt } : {}
+      });
     } else {
-      // Local file storage
-      audioUrl = `/uploads/${req.file.filename}`;
-      fileName = req.file.filename;
-    }
-
-    const { userId, courseId, assignmentId } = req.session.lti;
-
-    // Store submission in database
-    db.run(
-      `INSERT INTO submissions (id, user_id, course_id, assignment_id, audio_url, file_name, file_size) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [submissionId, userId, courseId, assignmentId, audioUrl, fileName, req.file.size],
-      function(err) {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to save submission' });
-        }
-
-        // Send grade back to Canvas if available
-        if (req.session.lti.lisOutcomeServiceUrl) {
-          sendGradeToCanvas(req.session.lti, 1.0);
-        }
-
-        res.json({ 
-          success: true, 
-          submissionId: submissionId,
-          audioUrl: audioUrl,
-          message: 'Recording submitted successfully!'
-        });
+      const clip = await clips.findOwned(req.body.clipId, req.session.lti.userId);
+      if (!clip) {
+        return res.status(404).json({ error: 'Clip not found' });
       }
-    );
+      await clips.setTitle(clip.id, title);
+      item = contentItem.buildLinkItem(selection, {
+        toolUrl: toolUrl(req),
+        title,
+        custom: { clip_id: clip.id },
+        embed: true
+      });
+    }
+
+    const response = await contentItem.buildResponse(selection, [item]);
+    req.session.contentItem = null;
+    res.json({ success: true, ...response });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Upload failed: ' + error.message });
+    console.error('Content-Item selection error:', error);
+    res.status(500).json({ error: 'Unable to return the selection to Canvas' });
   }
 });
 
-// Serve uploaded files (for local storage)
-app.use('/uploads', express.static('uploads'));
+// Embedded clip details, for browsers that were launched into the clip
+app.get('/clips/:clipId', async (req, res) => {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  if (!(req.session.viewableClips || []).includes(req.params.clipId)) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+
+  try {
+    const clip = await clips.find(req.params.clipId);
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    res.json(clip);
+  } catch (error) {
+    console.error('Clip error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Play an embedded clip; only browsers launched into it may
+app.get('/clips/:clipId/audio', async (req, res) => {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  if (!(req.session.viewableClips || []).includes(req.params.clipId)) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+
+  try {
+    const clip = await clips.findFile(req.params.clipId);
+    if (!clip || !clip.storage_key) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    await storage.send(clip.storage_key, res, clip.mime_type);
+  } catch (error) {
+    console.error('Clip playback error:', error);
+    res.status(500).json({ error: 'Unable to play the clip' });
+  }
+});
+
+// Play a submission's recording. Stored files are private, so this is the only way to them.
+// ?variant=original returns the file as uploaded instead of the playback copy.
+app.get('/submission/:submissionId/audio', async (req, res) => {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+
+  try {
+    const file = await submissions.findFile(req.params.submissionId, viewerScope(req.session.lti),
+      req.query.variant ? String(req.query.variant) : null);
+    if (!file || !file.storage_key) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    // Players fetch the rest of a recording in ranges; count a listen once, from its start
+    const range = req.get('Range');
+    if (!range || /^bytes=0-/.test(range)) {
+      audit.record(req, 'submission.play', {
+        submissionId: req.params.submissionId,
+        subjectUserId: file.user_id,
+        details: { variant: req.query.variant ? String(req.query.variant) : 'playback' }
+      });
+    }
+    await storage.send(file.storage_key, res, file.mime_type);
+  } catch (error) {
+    console.error('Playback error:', error);
+    res.status(500).json({ error: 'Unable to play the recording' });
+  }
+});
 
 // Get submission endpoint
-app.get('/submission/:submissionId', (req, res) => {
+app.get('/submission/:submissionId', async (req, res) => {
   if (!req.session.lti) {
     return res.status(401).json({ error: 'Session expired' });
   }
 
-  db.get(
-    `SELECT * FROM submissions WHERE id = ? AND user_id = ?`,
-    [req.params.submissionId, req.session.lti.userId],
-    (err, row) => {
-      if (err || !row) {
-        return res.status(404).json({ error: 'Submission not found' });
-      }
-      res.json(row);
+  try {
+    const submission = await submissions.find(req.params.submissionId, viewerScope(req.session.lti));
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
     }
-  );
+    audit.record(req, 'submission.view', { submissionId: submission.id, subjectUserId: submission.user_id });
+    res.json({ ...submission, comments: await comments.forSubmission(submission.id) });
+  } catch (error) {
+    console.error('Submission error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// List user's submissions
-app.get('/submissions', (req, res) => {
+// List user's submissions, with any feedback their instructors recorded
+app.get('/submissions', async (req, res) => {
   if (!req.session.lti) {
     return res.status(401).json({ error: 'Session expired' });
   }
 
-  db.all(
-    `SELECT id, file_name, file_size, created_at FROM submissions 
-     WHERE user_id = ? AND course_id = ? AND assignment_id = ? 
-     ORDER BY created_at DESC`,
-    [req.session.lti.userId, req.session.lti.courseId, req.session.lti.assignmentId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-      res.json(rows);
+  try {
+    res.json(await feedbackClips.withFeedback(await submissions.listOwn(req.session.lti)));
+  } catch (error) {
+    console.error('Submissions error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List every student's submissions for the launched assignment (graders only)
+// ?q= narrows the list to submissions whose student name or transcript contains the text
+app.get('/grading/submissions', requireGrader, async (req, res) => {
+  const { courseId, assignmentId, pointsPossible } = req.session.lti;
+  const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  try {
+    const listed = await submissions.listForGrading(courseId, assignmentId, search);
+    res.json({
+      pointsPossible,
+      canExport: isInstructor(req.session.lti.roles),
+      submissions: await feedbackClips.withFeedback(listed)
+    });
+  } catch (error) {
+    console.error('Grading list error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Download every recording for the launched assignment as a ZIP with a manifest (instructors only)
+// ?variant=original exports the files as uploaded instead of the playback copies
+app.get('/grading/export', requireInstructor, async (req, res) => {
+  const { courseId, assignmentId, pointsPossible } = req.session.lti;
+  const variant = req.query.variant === 'original' ? 'original' : 'playback';
+
+  if (!assignmentId) {
+    return res.status(400).json({ error: 'Launch from an assignment to export its recordings' });
+  }
+
+  try {
+    audit.record(req, 'export.assignment', { details: { variant } });
+    await exportArchive.write(res, { courseId, assignmentId, pointsPossible, variant });
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Unable to export recordings' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Recording rules for the launched assignment: what an instructor saved here and what is in force
+app.get('/grading/settings', requireGrader, async (req, res) => {
+  const lti = req.session.lti;
+  try {
+    res.json({
+      saved: await assignmentRules.savedSettings(lti.courseId, lti.assignmentId),
+      effective: await assignmentRules.forLaunch(lti)
+    });
+  } catch (error) {
+    console.error('Settings error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.put('/grading/settings', requireGrader, async (req, res) => {
+  const lti = req.session.lti;
+  try {
+    const saved = await assignmentRules.save(lti.courseId, lti.assignmentId, req.body, lti.userId);
+    res.json({
+      success: true,
+      saved,
+      effective: await assignmentRules.forLaunch(lti),
+      message: 'Recording rules saved'
+    });
+  } catch (error) {
+    if (error instanceof AssignmentRuleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Settings error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Save a score and comment, then queue the score for Canvas; the outbox sends it and retries
+app.post('/grading/submissions/:submissionId/grade', requireGrader, async (req, res) => {
+  const { courseId, assignmentId, userId, pointsPossible } = req.session.lti;
+  const maxScore = pointsPossible || 100;
+  const score = parseFloat(req.body.score);
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+  if (isNaN(score) || score < 0 || score > maxScore) {
+    return res.status(400).json({ error: `Score must be a number between 0 and ${maxScore}` });
+  }
+
+  let submission;
+  try {
+    submission = await submissions.findForGrading(req.params.submissionId, courseId, assignmentId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    await submissions.saveGrade(submission.id, score, comment, userId);
+    audit.record(req, 'grade.save', {
+      submissionId: submission.id,
+      subjectUserId: submission.user_id,
+      details: { score, maxScore, comment: comment || null }
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({ error: 'Failed to save grade' });
+  }
+
+  try {
+    const job = await gradePassback.enqueue(submission, score, maxScore, comment);
+    if (!job) {
+      return res.json({ success: true, queued: false, message: 'Grade saved. This submission has no Canvas gradebook link.' });
+    }
+    res.json({ success: true, queued: true, jobId: job.id, message: 'Grade saved. Sending it to Canvas...' });
+  } catch (error) {
+    console.error('Queueing grade passback failed:', error);
+    res.status(500).json({ error: 'Grade saved, but it could not be queued for Canvas' });
+  }
+});
+
+// Where each grade for the launched assignment is on its way to Canvas, newest first
+app.get('/grading/passback', requireGrader, async (req, res) => {
+  try {
+    const { courseId, assignmentId } = req.session.lti;
+    const jobs = await gradePassback.list({ courseId, assignmentId });
+    res.json(jobs.map(gradePassback.toStatus));
+  } catch (error) {
+    console.error('Passback status error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send a grade that ran out of attempts again
+app.post('/grading/passback/:jobId/retry', requireGrader, async (req, res) => {
+  try {
+    if (!(await gradePassback.retry(req.params.jobId, req.session.lti.courseId))) {
+      return res.status(404).json({ error: 'No failed grade to retry' });
     }
-  );
+    res.json({ success: true, message: 'Sending the grade to Canvas again...' });
+  } catch (error) {
+    console.error('Passback retry error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Record spoken feedback on a submission; the student hears it under that submission
+app.post('/grading/submissions/:submissionId/feedback', requireGrader, upload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No recording was received' });
+  }
+
+  try {
+    const { courseId, userId, userName } = req.session.lti;
+    const submission = await submissions.findInCourse(req.params.submissionId, courseId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const feedbackId = uuidv4();
+    const { original, playback, duration } = await ingestAudio(req.file, feedbackId, 'feedback');
+    const audioUrl = `/feedback/${feedbackId}/audio`;
+    await feedbackClips.create({
+      id: feedbackId,
+      submissionId: submission.id,
+      courseId,
+      authorId: userId,
+      authorName: userName,
+      audioUrl,
+      storageKey: playback.storageKey,
+      originalStorageKey: playback === original ? null : original.storageKey,
+      fileName: playback.fileName,
+      fileSize: playback.fileSize,
+      duration,
+      mimeType: playback.mimeType
+    });
+    res.json({ success: true, feedbackId, audioUrl, duration, message: 'Feedback recorded. The student will hear it under their submission.' });
+  } catch (error) {
+    if (error instanceof AudioFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Feedback upload error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+app.delete('/grading/feedback/:feedbackId', requireGrader, async (req, res) => {
+  try {
+    const clip = await feedbackClips.findInCourse(req.params.feedbackId, req.session.lti.courseId);
+    if (!clip) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+    await feedbackClips.remove(clip.id);
+    for (const key of [clip.storage_key, clip.original_storage_key].filter(Boolean)) {
+      await storage.remove(key);
+    }
+    res.json({ success: true, message: 'Feedback deleted.' });
+  } catch (error) {
+    console.error('Feedback delete error:', error);
+    res.status(500).json({ error: 'Failed to delete feedback' });
+  }
+});
+
+// Pin a comment to a moment in a submission: { offset (seconds), body }
+app.post('/grading/submissions/:submissionId/comments', requireGrader, async (req, res) => {
+  const offset = Number(req.body.offset);
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  if (!isFinite(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Comments need a position in the recording' });
+  }
+  if (!body || body.length > 1000) {
+    return res.status(400).json({ error: 'Comments must be between 1 and 1000 characters' });
+  }
+
+  try {
+    const { courseId, userId, userName } = req.session.lti;
+    const submission = await submissions.findInCourse(req.params.submissionId, courseId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    // Stored durations are rounded, so allow up to a second past the end
+    if (submission.duration && offset > submission.duration + 1) {
+      return res.status(400).json({ error: 'That position is past the end of the recording' });
+    }
+
+    const comment = { id: uuidv4(), offset: Math.round(offset * 10) / 10, body, author_name: userName || null };
+    await comments.create({
+      id: comment.id,
+      submissionId: submission.id,
+      courseId,
+      offset: comment.offset,
+      body,
+      authorId: userId,
+      authorName: comment.author_name
+    });
+    res.json({ success: true, comment });
+  } catch (error) {
+    console.error('Comment error:', error);
+    res.status(500).json({ error: 'Failed to save the comment' });
+  }
+});
+
+app.delete('/grading/comments/:commentId', requireGrader, async (req, res) => {
+  try {
+    const result = await comments.remove(req.params.commentId, req.session.lti.courseId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json({ success: true, message: 'Comment deleted.' });
+  } catch (error) {
+    console.error('Comment delete error:', error);
+    res.status(500).json({ error: 'Failed to delete the comment' });
+  }
 });
 
-function sendGradeToCanvas(ltiData, grade) {
+// Play feedback: graders in the course, and the student whose submission it answers
+app.get('/feedback/:feedbackId/audio', async (req, res) => {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+
   try {
-    const provider = new Provider(ltiData.consumerKey, process.env.LTI_SECRET);
-    
-    provider.outcome_service.send_replace_result(
-      grade,
-      (err, result) => {
-        if (err) {
-          console.error('Error sending grade to Canvas:', err);
-        } else {
-          console.log('Grade sent successfully to Canvas');
-        }
+    const clip = await feedbackClips.findFile(req.params.feedbackId, viewerScope(req.session.lti));
+    if (!clip || !clip.storage_key) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+    await storage.send(clip.storage_key, res, clip.mime_type);
+  } catch (error) {
+    console.error('Feedback playback error:', error);
+    res.status(500).json({ error: 'Unable to play the feedback' });
+  }
+});
+
+// LTI 1.1 consumers (see lib/consumers.js). Secrets are returned only when created or rotated.
+app.get('/admin/consumers', requireAdminToken, async (req, res) => {
+  try {
+    res.json({ consumers: await consumers.list() });
+  } catch (error) {
+    console.error('Consumer error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.post('/admin/consumers', requireAdminToken, async (req, res) => {
+  try {
+    const consumer = await consumers.add({ key: req.body.key, name: req.body.name, secret: req.body.secret });
+    auditConsumer(req, consumer.key, 'added');
+    res.status(201).json(consumer);
+  } catch (error) {
+    sendConsumerError(res, error);
+  }
+});
+
+// Rename, or enable / disable: { name, enabled }
+app.patch('/admin/consumers/:key', requireAdminToken, async (req, res) => {
+  try {
+    const consumer = await consumers.update(req.params.key, { name: req.body.name, enabled: req.body.enabled });
+    if (!consumer) {
+      return res.status(404).json({ error: 'Consumer not found' });
+    }
+    if (req.body.enabled !== undefined) {
+      auditConsumer(req, consumer.key, consumer.enabled ? 'enabled' : 'disabled');
+    }
+    res.json(consumer);
+  } catch (error) {
+    sendConsumerError(res, error);
+  }
+});
+
+// A new secret, generated unless one is given; the old one stops working at once
+app.post('/admin/consumers/:key/secret', requireAdminToken, async (req, res) => {
+  try {
+    const consumer = await consumers.rotateSecret(req.params.key, req.body.secret);
+    if (!consumer) {
+      return res.status(404).json({ error: 'Consumer not found' });
+    }
+    auditConsumer(req, consumer.key, 'secret rotated');
+    res.json(consumer);
+  } catch (error) {
+    sendConsumerError(res, error);
+  }
+});
+
+app.delete('/admin/consumers/:key', requireAdminToken, async (req, res) => {
+  try {
+    const { changes } = await consumers.remove(req.params.key);
+    if (!changes) {
+      return res.status(404).json({ error: 'Consumer not found' });
+    }
+    auditConsumer(req, req.params.key, 'removed');
+    res.json({ success: true });
+  } catch (error) {
+    sendConsumerError(res, error);
+  }
+});
+
+function auditConsumer(req, key, change) {
+  audit.record(req, 'admin.consumer', { actorId: 'admin-api', details: { key, change } });
+}
+
+function sendConsumerError(res, error) {
+  if (error instanceof consumers.ConsumerError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Consumer error:', error);
+  res.status(500).json({ error: 'Database error' });
+}
+
+// Retention policies: the global default (RETENTION_DAYS) and each course's override
+app.get('/admin/retention', requireAdminToken, async (req, res) => {
+  try {
+    res.json(await retention.listPolicies());
+  } catch (error) {
+    console.error('Retention error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// { days } a whole number of days, or "forever"
+app.put('/admin/retention/:courseId', requireAdminToken, async (req, res) => {
+  try {
+    res.json(await retention.setPolicy(req.params.courseId, req.body.days, 'admin-api'));
+  } catch (error) {
+    if (error instanceof retention.RetentionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Retention error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/admin/retention/:courseId', requireAdminToken, async (req, res) => {
+  try {
+    const { changes } = await retention.clearPolicy(req.params.courseId);
+    if (!changes) {
+      return res.status(404).json({ error: 'No policy for that course' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Retention error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete expired submissions now rather than at the next scheduled run; ?dryRun=true reports only
+app.post('/admin/retention/purge', requireAdminToken, async (req, res) => {
+  try {
+    res.json(await retention.purgeExpired({ dryRun: isDryRun(req) }));
+  } catch (error) {
+    console.error('Retention purge error:', error);
+    res.status(500).json({ error: 'Purge failed' });
+  }
+});
+
+// Everything stored about an LTI user as a ZIP, for a data subject request. ?dryRun=true lists
+// what the export would hold instead.
+app.get('/admin/users/:userId/export', requireAdminToken, async (req, res) => {
+  try {
+    const data = await retention.userData(req.params.userId);
+    const objects = retention.userObjects(data);
+    if (isDryRun(req)) {
+      const rows = {};
+      for (const [name, value] of Object.entries(data)) {
+        if (Array.isArray(value)) rows[name] = value.length;
       }
-    );
+      return res.json({ dryRun: true, userId: req.params.userId, rows, objects });
+    }
+    audit.record(req, 'admin.user_export', { actorId: 'admin-api', subjectUserId: req.params.userId });
+    res.attachment(`user-${req.params.userId.replace(/[^\w.-]/g, '_')}.zip`);
+    await exportArchive.writeUser(res, data, objects);
   } catch (error) {
-    console.error('Error in sendGradeToCanvas:', error);
+    console.error('User export error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Unable to export user data' });
+    }
+    res.destroy(error);
   }
+});
+
+// Erase an LTI user's data; ?dryRun=true reports what would be erased
+app.delete('/admin/users/:userId', requireAdminToken, async (req, res) => {
+  try {
+    const report = await retention.eraseUser(req.params.userId, { dryRun: isDryRun(req) });
+    if (!report.dryRun) {
+      console.log(`Erased data of user ${req.params.userId}: ${report.submissions} submissions, ${report.objects.length} objects`);
+      audit.record(req, 'admin.user_erase', {
+        actorId: 'admin-api',
+        subjectUserId: report.pseudonym,
+        details: { submissions: report.submissions, clips: report.clips, objects: report.objects.length }
+      });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('User erase error:', error);
+    res.status(500).json({ error: 'Erasing user data failed' });
+  }
+});
+
+// The audit log, oldest first, filtered by ?course=, ?user= (who acted, or whose work it was),
+// ?action= and ?from= / ?to= (dates or ISO times, inclusive). JSON comes a page at a time
+// (?limit=, up to 1000, and ?cursor= from the previous page's next); ?format=csv exports
+// every match.
+app.get('/admin/audit', requireAdminToken, async (req, res) => {
+  try {
+    const filters = audit.parseFilters(req.query);
+    if (req.query.format === 'csv') {
+      res.attachment('audit.csv');
+      return await audit.writeCsv(res, filters);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(await audit.list(filters, { cursor: req.query.cursor, limit }));
+  } catch (error) {
+    if (error instanceof audit.AuditError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Audit query error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.destroy(error);
+  }
+});
+
+// Scripts call the admin API with Authorization: Bearer <ADMIN_API_TOKEN>. Without the
+// variable the API is switched off.
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  if (!tokenMatches(req, token)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Whether the request carries Authorization: Bearer <token>, compared in constant time
+function tokenMatches(req, token) {
+  const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+function isDryRun(req) {
+  return ['true', '1'].includes(String(req.query.dryRun));
+}
+
+// Instructors, TAs and administrators grade; everyone else records
+const GRADER_ROLE = /(^|[/#:])(Instructor|Faculty|TeachingAssistant|Administrator)(\/.*)?$/i;
+
+function isGrader(roles) {
+  return String(roles || '').split(',').some(role => GRADER_ROLE.test(role.trim()));
+}
+
+// Graders may see anything in their course; students only their own work
+function viewerScope(lti) {
+  return isGrader(lti.roles) ? { courseId: lti.courseId } : { userId: lti.userId };
+}
+
+// Exports hand over a whole class's recordings, so TAs who grade are not enough
+const INSTRUCTOR_ROLE = /(^|[/#:])(Instructor|Faculty|Administrator)(\/.*)?$/i;
+
+function isInstructor(roles) {
+  return String(roles || '').split(',')
+    .map(role => role.trim())
+    .some(role => INSTRUCTOR_ROLE.test(role) && !/TeachingAssistant/i.test(role));
+}
+
+function requireGrader(req, res, next) {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  if (!isGrader(req.session.lti.roles)) {
+    return res.status(403).json({ error: 'Only instructors and TAs can grade submissions' });
+  }
+  next();
+}
+
+function requireInstructor(req, res, next) {
+  if (!req.session.lti) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  if (!isInstructor(req.session.lti.roles)) {
+    return res.status(403).json({ error: 'Only instructors can export recordings' });
+  }
+  next();
 }
 
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Application error:', error);
+  if (error instanceof multer.MulterError) {
+    metrics.failed('upload');
+  }
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
@@ -272,7 +1347,49 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Refuse to serve on a schema that could not be brought up to date
+ready.catch(err => {
+  console.error('Database migration failed:', err);
+  process.exit(1);
+});
+
 app.listen(PORT, HOST, () => {
   console.log(`Canvas Audio LTI Tool running on ${HOST}:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// Rotate the LTI 1.3 signing key when it is due; checked at startup and daily
+function rotateLti13Keys() {
+  lti13.rotateKeysIfDue().catch(err => console.error('LTI 1.3 key rotation failed:', err));
+}
+rotateLti13Keys();
+setInterval(rotateLti13Keys, 24 * 60 * 60 * 1000).unref();
+
+// Point recordings stored by older versions at the authenticated playback routes
+adoptLegacyRecordings()
+  .then(count => count && console.log(`Moved ${count} stored recordings to authenticated playback`))
+  .catch(err => console.error('Adopting legacy recordings failed:', err));
+
+if (storage.name === 'minio') {
+  storage.ensureBucket().catch(err => console.error('Unable to reach MinIO:', err.message));
+}
+
+// Send queued grades, including any that were in flight when the server last stopped
+gradePassback.start().catch(err => console.error('Starting grade passback failed:', err));
+
+// Transcribe queued submissions, including any left over from before a restart
+transcription.start().catch(err => console.error('Starting transcription failed:', err));
+
+// Delete submissions past their retention; hourly, so none outlives its policy by much
+function purgeExpiredRecordings() {
+  retention.purgeExpired()
+    .then(({ submissions }) => submissions.length && console.log(`Deleted ${submissions.length} submissions past their retention`))
+    .catch(err => console.error('Retention purge failed:', err));
+}
+purgeExpiredRecordings();
+setInterval(purgeExpiredRecordings, 60 * 60 * 1000).unref();
+
+// Discard streamed uploads that were never finalized
+setInterval(() => {
+  uploadSessions.purgeExpired().catch(err => console.error('Upload session cleanup failed:', err));
+}, 60 * 60 * 1000).unref();